@@ -0,0 +1,217 @@
+/**
+ * Mock IoT sensor stream — mock-sensor-server.js
+ * ─────────────────────────────────────────────
+ * Local stand-in for the site sensor gateway. Node built-ins only.
+ *
+ *   node mock-sensor-server.js [--port 8787] [--speed 3600]
+ *
+ * Serves:
+ *   /stream   Server-Sent Events — one `roster` event on connect,
+ *             then a `reading` event per sensor every REFRESH_S
+ *   /*        the site's own pages, styles, script and images
+ *             (SITE_FILES), so the site can also be opened from
+ *             http://localhost:<port>/. The page only connects to
+ *             the feed when opened with ?live=/stream
+ *
+ * Listens on 127.0.0.1 only.
+ *
+ * Readings are { sensor, site, type, value, ts }. energy, water,
+ * waste and wasteDiverted are year-to-date registers (kWh, m³, t, t)
+ * seeded at the share of the FY2024 totals in script.js that the year
+ * has run so far; status is 1 running /
+ * 0 down. `--speed` is simulated seconds per real second, so the
+ * registers move visibly. A few sensors pause or go silent for
+ * good, to exercise stale / dropped detection.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs   = require('fs');
+const path = require('path');
+
+/* ── Config ── */
+const arg = (name, fallback) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] ? Number(process.argv[i + 1]) : fallback;
+};
+const HOST      = '127.0.0.1';
+const PORT      = arg('port', 8787);
+const SPEED     = arg('speed', 3600);
+const REFRESH_S = 15;
+const ROOT      = __dirname;
+
+// Sensors per site — 847 in total, as on the energy profile
+const SITE_SENSORS = [96, 88, 81, 77, 73, 70, 68, 66, 62, 58, 56, 52];
+
+// Annual totals the registers grow towards over a year
+const ANNUAL = {
+  energy: 2140e6,   // kWh
+  water:  1.84e6,   // m³
+  waste:  52000,    // t generated
+};
+const DIVERSION  = 0.94;
+const UPTIME     = 0.991;
+const PAUSE_P    = 0.002;    // chance per reading of a 40–80 s pause
+const DROP_P     = 0.0003;   // chance per reading of going silent for good
+const YEAR_S     = 365 * 86400;
+// Share of the calendar year elapsed — registers count from 1 January
+const YTD        = (Date.now() - Date.UTC(new Date().getUTCFullYear(), 0, 1)) / 1000 / YEAR_S;
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.png':  'image/png',
+  '.jpg':  'image/jpeg',
+  '.svg':  'image/svg+xml',
+};
+
+// The only files served: the site itself, never the repo around it
+const SITE_FILES = ['index.html', 'generate.html', 'style.css', 'script.js'];
+const IMAGE_EXT  = ['.png', '.jpg', '.svg'];
+
+// Pages opened from disk (Origin: null) or from a local server may read the stream
+const LOCAL_ORIGIN = /^(null|https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?)$/;
+
+/* ── Sensor roster ── */
+function buildRoster() {
+  const total = SITE_SENSORS.reduce((a, b) => a + b, 0);
+  const sensors = [];
+
+  SITE_SENSORS.forEach((count, i) => {
+    const site = `S${String(i + 1).padStart(2, '0')}`;
+    const share = count / total;
+    const energyMeters = Math.round(count * 0.4);
+    const waterMeters  = Math.round(count * 0.15);
+    const statusCount  = count - energyMeters - waterMeters - 2;
+
+    const add = (type, n, code, annual, seed) => {
+      for (let k = 1; k <= n; k++) {
+        sensors.push({
+          id:    `${site}-${code}-${String(k).padStart(3, '0')}`,
+          site,
+          type,
+          rate:  annual != null ? annual * share / n / YEAR_S : 0,   // units per simulated second
+          value: seed != null ? seed * share / n : 1,
+          nextAt: Date.now() + Math.random() * REFRESH_S * 1000,
+          pausedUntil: 0,
+          reported: false,
+          dropped: false,
+        });
+      }
+    };
+    add('energy', energyMeters, 'EM', ANNUAL.energy, ANNUAL.energy * YTD);
+    add('water', waterMeters, 'WM', ANNUAL.water, ANNUAL.water * YTD);
+    add('waste', 1, 'WS', ANNUAL.waste, ANNUAL.waste * YTD);
+    add('wasteDiverted', 1, 'WD', ANNUAL.waste * DIVERSION, ANNUAL.waste * DIVERSION * YTD);
+    add('status', statusCount, 'ST');
+  });
+  return sensors;
+}
+
+const sensors = buildRoster();
+const clients = new Set();
+
+/* ── Readings ── */
+function advance(sensor) {
+  if (sensor.type === 'status') {
+    sensor.value = Math.random() < UPTIME ? 1 : 0;
+  } else {
+    // ±20% noise per interval; registers never run backwards
+    sensor.value += sensor.rate * REFRESH_S * SPEED * (0.8 + Math.random() * 0.4);
+  }
+  return {
+    sensor: sensor.id,
+    site:   sensor.site,
+    type:   sensor.type,
+    value:  sensor.type === 'status' ? sensor.value : Math.round(sensor.value * 1000) / 1000,
+    ts:     new Date().toISOString(),
+  };
+}
+
+function broadcast(event, data) {
+  const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(res => res.write(frame));
+}
+
+function tick() {
+  const now = Date.now();
+  sensors.forEach(s => {
+    if (s.dropped || now < s.nextAt) return;
+    s.nextAt = now + REFRESH_S * 1000;
+    if (now < s.pausedUntil) return;
+
+    // Every sensor reports once before any fault, so the roster fills in
+    if (s.reported && Math.random() < DROP_P) { s.dropped = true; return; }
+    if (s.reported && Math.random() < PAUSE_P) { s.pausedUntil = now + 40000 + Math.random() * 40000; return; }
+    s.reported = true;
+
+    const reading = advance(s);
+    if (clients.size) broadcast('reading', reading);
+  });
+}
+
+/* ── HTTP ── */
+function serveStream(req, res) {
+  const headers = {
+    'Content-Type':  'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection':    'keep-alive',
+  };
+  const origin = req.headers.origin;
+  if (origin && LOCAL_ORIGIN.test(origin)) headers['Access-Control-Allow-Origin'] = origin;
+  res.writeHead(200, headers);
+  res.write(`retry: 5000\n\n`);
+  res.write(`event: roster\ndata: ${JSON.stringify({
+    refreshInterval: REFRESH_S,
+    sensors: sensors.map(s => ({ sensor: s.id, site: s.site, type: s.type })),
+  })}\n\n`);
+
+  clients.add(res);
+  req.on('close', () => clients.delete(res));
+}
+
+function serveStatic(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(req.url.split('?')[0]);
+  } catch (err) {
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+  // Top-level site files only: no subdirectories, dotfiles or repo files
+  const name = urlPath === '/' ? 'index.html' : urlPath.replace(/^\//, '');
+  const ext = path.extname(name).toLowerCase();
+  const allowed = !/[\\/]/.test(name) && !name.startsWith('.')
+    && (SITE_FILES.includes(name) || IMAGE_EXT.includes(ext));
+  if (!allowed) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+  fs.readFile(path.join(ROOT, name), (err, body) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME[ext] });
+    res.end(body);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  if (req.url.split('?')[0] === '/stream') serveStream(req, res);
+  else serveStatic(req, res);
+});
+
+setInterval(tick, 250);
+// Comment line keeps idle proxies from closing the stream
+setInterval(() => clients.forEach(res => res.write(': ping\n\n')), REFRESH_S * 1000);
+
+server.listen(PORT, HOST, () => {
+  console.log(`Mock sensor stream: http://localhost:${PORT}/stream (${sensors.length} sensors, ${SITE_SENSORS.length} sites, speed ×${SPEED})`);
+  console.log(`Site:               http://localhost:${PORT}/index.html?live=/stream`);
+});
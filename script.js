@@ -6,10 +6,17 @@
  *
  * Architecture:
  *  1. DATA_PROFILES  — simulated sensor/operational datasets per theme
- *  2. NARRATIVE_TEMPLATES — professional ESG writing templates
- *  3. generateNarrative()  — assembles data + text into structured output
+ *  2. THEMES         — theme registry: cards, titles, frameworks, trends, templates
+ *  3. generateNarrative()  — fills templates from metric values
  *  4. renderPage()         — injects generated content into generate.html
- *  5. initHomepage()       — wires button clicks on index.html
+ *  5. initHomepage()       — builds theme cards, wires clicks on index.html
+ *  6. importProfiles()     — builds profiles from user-supplied CSV / JSON
+ *  7. exportReport()       — Markdown, JSON and XBRL-style tagged exports
+ *  8. saveDraft()          — edited reports kept as versioned local drafts
+ *  9. calculateEmissions() — Scope 1/2/3 from activity data × emission factors
+ * 10. ingestReading()      — live IoT sensor stream, shown beside the reported figures and prose
+ * 11. rollUpSites()        — site, region and business-unit roll-ups
+ * 12. lintNarrative()      — greenwashing / claim-substantiation checks
  */
 
 'use strict';
@@ -17,297 +24,4208 @@
 /* ══════════════════════════════════════════════════════════
    1. SIMULATED DATA PROFILES
    Each profile mimics what IoT sensors / ESG systems return.
-   Values are intentionally realistic for FY2024 context.
+   Values are intentionally realistic for FY2024 context. The
+   theme's name, icon and frameworks come from its entry in the
+   theme registry (section 1b).
+
+   Metrics are raw numbers. Most carry a `series` of values by
+   fiscal year; the reporting-year value and prior-year value are
+   read from it (resolveSeries, section 1c), and the YoY change and
+   arrow direction on each card are computed from those. A metric
+   with `compare: 'baseline'` is compared with its `baselineYear`
+   instead. `target` is the goal the trend chart measures the
+   series against: an absolute `value`, or a % `reduction` from
+   the baseline. Single-year metrics give `value` (and optionally
+   `prior`) directly; `note` is shown when there is nothing to
+   compare against.
+   `keyMetrics` become data cards; `supportingMetrics` only feed
+   the narrative templates.
+   A profile with `activity` data has its emissions calculated
+   (section 1g). The results overwrite the reporting-year values of
+   scope1 / scope2, and any scope totals the profile doesn't list
+   are added to it.
+   A profile with `sites` has the metrics named in its `rollup`
+   computed from site-level data (section 1h). That data can be
+   narrowed to one region, business unit or site.
 ══════════════════════════════════════════════════════════ */
 
+/* Units a metric may carry. `prefix`/`suffix` wrap the number;
+   `tight` suffixes sit inside the big card value (42%, €47.2M),
+   the rest are set in small type after it. `long` is the prose
+   form used by the {{id|long}} template filter. */
+const UNITS = {
+  'tCO₂e':     { aliases: ['tco2e', 'tco₂e', 't co2e'], suffix: ' tCO₂e' },
+  'ktCO₂e':    { aliases: ['ktco2e', 'ktco₂e'],         suffix: ' ktCO₂e' },
+  'tCO₂e/MWh': { aliases: ['tco2e/mwh', 'tco₂e/mwh'],   suffix: ' tCO₂e/MWh', long: ' tCO₂e per MWh' },
+  'GWh':       { aliases: ['gwh'],                      suffix: ' GWh' },
+  'MWh':       { aliases: ['mwh'],                      suffix: ' MWh' },
+  'kWh':       { aliases: ['kwh'],                      suffix: ' kWh' },
+  'MWh/t':     { aliases: ['mwh/t'],                    suffix: ' MWh/t', long: ' MWh per tonne of output' },
+  'MWp':       { aliases: ['mwp'],                      suffix: ' MWp' },
+  'm³':        { aliases: ['m3', 'm³', 'cubic metres'], suffix: ' m³' },
+  'Mm³':       { aliases: ['mm3', 'mm³'],               suffix: ' million m³', long: ' million cubic metres' },
+  't':         { aliases: ['t', 'tonnes', 'tonne'],     suffix: ' t' },
+  '%':         { aliases: ['%', 'percent', 'pct'],      suffix: '%', tight: true, range: [0, 100] },
+  '€':         { aliases: ['€', 'eur'],                 prefix: '€' },
+  '€M':        { aliases: ['€m', 'eurm', 'meur'],       prefix: '€', suffix: 'M', tight: true, long: ' million' },
+  '°C':        { aliases: ['°c', 'degc'],               suffix: '°C', tight: true },
+  's':         { aliases: ['s', 'sec', 'seconds'],      suffix: ' s', long: ' seconds' },
+  'year':      { aliases: ['year', 'yr'],               integer: true, range: [1900, 2100] },
+  'h':         { aliases: ['h', 'hours', 'hrs'],        suffix: ' h', long: ' hours' },
+  'days':      { aliases: ['days', 'day', 'd'],         suffix: ' days' },
+  'ha':        { aliases: ['ha', 'hectares'],           suffix: ' ha', long: ' hectares' },
+  'count':     { aliases: ['count', '#'],               integer: true },
+  'rate':      { aliases: ['rate', 'ratio'] },
+};
+
 const DATA_PROFILES = {
 
   climate: {
-    topic: 'Climate & Emissions',
-    icon: '🌍',
+    reportingYear: 2024,
+    keyMetrics: [
+      { id: 'scope1',      pillar: 'E', unit: 'tCO₂e', label: 'Total Scope 1 Emissions',
+        series: { 2019: 27900, 2020: 25100, 2021: 24300, 2022: 22600, 2023: 20777, 2024: 18450 },
+        baselineYear: 2019, target: { year: 2038, value: 0, label: 'Net-zero 2038' } },
+      { id: 'scope2',      pillar: 'E', unit: 'tCO₂e', label: 'Scope 2 (market-based)',
+        series: { 2019: 131500, 2020: 118200, 2021: 109800, 2022: 97300, 2023: 84624, 2024: 72100 },
+        baselineYear: 2019, target: { year: 2038, value: 0, label: 'Net-zero 2038' } },
+      { id: 'sbtiPathway', pillar: 'E', value: 1.5,   unit: '°C',   label: 'SBTi Pathway Alignment', note: 'Confirmed' },
+      { id: 'assurance',   pillar: 'G', value: 96,    unit: '%',    label: 'Data Assurance Level',   note: '3rd-party verified' },
+      { id: 'netZeroYear', pillar: 'E', value: 2038,  unit: 'year', label: 'Net-Zero Target Year',   note: '{{netZeroLead|num}}yrs ahead of plan', dir: 'up' },
+      { id: 'greenCapex',  pillar: 'S', value: 47.2,  unit: '€M',   label: 'Green CapEx FY2024',     note: '↑ {{greenCapexShare}} of total', dir: 'up' },
+    ],
+    supportingMetrics: [
+      { id: 'greenCapexShare',     value: 9.1,  unit: '%',    label: 'Green CapEx share of total CapEx' },
+      { id: 'etsPrice',            value: 65,   unit: '€',    label: 'EU ETS carbon price per tonne' },
+      { id: 'avoidedCarbonCost',   value: 5.9,  unit: '€M',   label: 'Avoided carbon cost' },
+      { id: 'taxonomyAligned',     value: 61,   unit: '%',    label: 'Taxonomy-aligned share of green CapEx' },
+      { id: 'netZeroCommitment',   value: 2040, unit: 'year', label: 'Committed net-zero year' },
+      { id: 'scope3CoverageTarget', value: 80,  unit: '%',    label: 'Scope 3 supplier coverage target' },
+      { id: 'scope3TargetYear',    value: 2026, unit: 'year', label: 'Scope 3 coverage target year' },
+    ],
+    activity: {
+      year: 2024,
+      fuels: [
+        { fuel: 'naturalGas', quantity: 6200000, site: 'Process heat, 4 campuses' },
+        { fuel: 'diesel',     quantity: 1850000, site: 'Backup generators & heavy fleet' },
+        { fuel: 'petrol',     quantity: 310000,  site: 'Light fleet' },
+        { fuel: 'lpg',        quantity: 305660,  site: 'Forklifts' },
+      ],
+      electricity: [
+        { region: 'DE', kWh: 120000000, renewableKWh: 70000000, instrument: 'GOs' },
+        { region: 'NL', kWh: 45000000,  renewableKWh: 30000000, instrument: 'Wind PPA' },
+        { region: 'PL', kWh: 35190790,  renewableKWh: 0 },
+        { region: 'ES', kWh: 26000000,  renewableKWh: 20000000, instrument: 'Solar PPA' },
+        { region: 'FR', kWh: 15000000,  renewableKWh: 0 },
+      ],
+      spend: [
+        { sector: 'basicMetals', eur: 64000000 },
+        { sector: 'chemicals',   eur: 38500000 },
+        { sector: 'plastics',    eur: 22000000 },
+        { sector: 'electronics', eur: 41000000 },
+        { sector: 'services',    eur: 56000000 },
+      ],
+      freight: [
+        { mode: 'road', tkm: 96000000 },
+        { mode: 'rail', tkm: 41000000 },
+        { mode: 'sea',  tkm: 310000000 },
+        { mode: 'air',  tkm: 2100000 },
+      ],
+    },
+    dataAsOf: '2024-12-31',
+    assurance: { coverage: 96, level: 'limited', standard: 'ISAE 3410' },
+    audience: 'CSRD Filing · Investor Disclosure',
+  },
+
+  energy: {
+    reportingYear: 2024,
+    keyMetrics: [
+      { id: 'energyTotal',      pillar: 'E', unit: 'GWh', label: 'Total Energy Consumed',
+        series: { 2019: 2510, 2020: 2380, 2021: 2415, 2022: 2350, 2023: 2284, 2024: 2140 } },
+      { id: 'renewableShare',   pillar: 'E', unit: '%',   label: 'Renewable Energy Mix',
+        series: { 2019: 18, 2020: 22, 2021: 26, 2022: 30, 2023: 35, 2024: 42 },
+        baselineYear: 2019, target: { year: 2030, value: 65, label: '65% by 2030' } },
+      { id: 'costAvoided',      pillar: 'E', value: 4.2,  unit: '€M',  label: 'Energy Cost Avoided',   note: 'vs {{costBaselineYear}} baseline', dir: 'up' },
+      { id: 'iotSensors',       pillar: 'G', value: 847,  unit: 'count', label: 'Active IoT Sensors',  note: '{{refreshInterval|num}}-sec refresh' },
+      { id: 'carbonIntensity',  pillar: 'E', unit: 'tCO₂e/MWh', label: 'Carbon Intensity',
+        series: { 2019: 2.6, 2020: 2.48, 2021: 2.35, 2022: 2.2, 2023: 2.045, 2024: 1.8 } },
+      { id: 'staffTrained',     pillar: 'S', unit: 'count', label: 'Staff Energy Trained',
+        series: { 2021: 210, 2022: 330, 2023: 463, 2024: 620 } },
+    ],
+    supportingMetrics: [
+      { id: 'refreshInterval',      value: 15,   unit: 's',         label: 'Sensor refresh interval' },
+      { id: 'costBaselineYear',     value: 2022, unit: 'year',      label: 'Avoided-cost baseline year' },
+      { id: 'sectorIntensity',      value: 2.4,  unit: 'tCO₂e/MWh', label: 'IEA sector benchmark intensity' },
+      { id: 're100Year',            value: 2021, unit: 'year',      label: 'RE100 commitment year' },
+      { id: 'solarAdded',           value: 38,   unit: 'MWp',       label: 'Onsite solar added' },
+      { id: 'batteryStorage',       value: 12,   unit: 'MWh',       label: 'Battery storage commissioned' },
+      { id: 'energyIntensity',      unit: 'MWh/t', label: 'Energy intensity per unit of production',
+        series: { 2019: 1.12, 2020: 1.06, 2021: 1.02, 2022: 0.96, 2023: 0.9, 2024: 0.82 },
+        baselineYear: 2019, target: { year: 2030, reduction: 40, label: '−40% by 2030' } },
+      { id: 'intensityTarget',      value: 40,   unit: '%',         label: 'Energy intensity reduction target' },
+      { id: 'targetYear',           value: 2030, unit: 'year',      label: 'Energy roadmap target year' },
+      { id: 'renewableTarget',      value: 65,   unit: '%',         label: 'Renewable energy target' },
+      { id: 'solarPipeline',        value: 110,  unit: 'MWp',       label: 'Committed onsite generation pipeline' },
+    ],
+    dataAsOf: '2024-12-31',
+    assurance: { coverage: 100, level: 'limited', standard: 'ISAE 3000' },
+    audience: 'Sustainability Report · CDP Submission',
+  },
+
+  operations: {
+    reportingYear: 2024,
+    keyMetrics: [
+      { id: 'wasteDiversion',  pillar: 'E', unit: '%',   label: 'Waste Diversion Rate',
+        series: { 2019: 82, 2020: 85, 2021: 87, 2022: 89, 2023: 91, 2024: 94 } },
+      { id: 'waterWithdrawal', pillar: 'E', unit: 'Mm³', label: 'Water Withdrawal',
+        series: { 2019: 2.26, 2020: 2.21, 2021: 2.12, 2022: 2.05, 2023: 1.9616, 2024: 1.84 },
+        baselineYear: 2020, target: { year: 2030, reduction: 15, label: '−15% by 2030 (SBTN)' } },
+      // Safety is reported against the 2021 programme baseline rather than YoY
+      { id: 'trir',            pillar: 'S', unit: 'rate', label: 'TRIR (Safety Rate)',
+        series: { 2019: 0.61, 2020: 0.57, 2021: 0.528, 2022: 0.47, 2023: 0.42, 2024: 0.38 },
+        baselineYear: 2021, compare: 'baseline' },
+      { id: 'uptime',          pillar: 'G', value: 99.1, unit: '%',     label: 'Uptime Across Sites', note: '{{sitesMonitored|num}} operating sites' },
+      { id: 'circularInput',   pillar: 'E', unit: '%',   label: 'Circular Material Input',
+        series: { 2019: 58, 2020: 62, 2021: 66, 2022: 68, 2023: 71, 2024: 78 } },
+      { id: 'sitesMonitored',  pillar: 'S', value: 12,   unit: 'count', label: 'Sites Monitored Live', note: 'Real-time IoT' },
+    ],
+    supportingMetrics: [
+      { id: 'refreshInterval',   value: 15,     unit: 's',     label: 'Sensor refresh interval' },
+      { id: 'trirHoursBasis',    value: 200000, unit: 'count', label: 'TRIR hours-worked basis' },
+      { id: 'waterTarget',       value: 15,     unit: '%',     label: 'Absolute water withdrawal reduction target' },
+      { id: 'waterTargetYear',   value: 2030,   unit: 'year',  label: 'Water target year' },
+      { id: 'waterBaselineYear', value: 2020,   unit: 'year',  label: 'Water target baseline year' },
+      { id: 'waterRecycled',     unit: '%', label: 'Water recycled and reused',
+        series: { 2019: 15, 2020: 18, 2021: 20, 2022: 23, 2023: 26, 2024: 31 } },
+      { id: 'hazardousWaste',    unit: 't', label: 'Hazardous waste generated',
+        series: { 2019: 610, 2020: 575, 2021: 540, 2022: 515, 2023: 479, 2024: 412 } },
+    ],
+    // Site-level figures by fiscal year: water in m³, waste and materials
+    // in t, hours worked, and operating vs scheduled hours
+    siteNoun: 'manufacturing and logistics sites',
+    rollup: {
+      waterWithdrawal: { sum: 'water', scale: 1e-6, decimals: 4 },   // m³ → Mm³
+      waterRecycled:   { ratio: ['waterReused', 'waterProcessed'], per: 100, decimals: 1 },
+      wasteDiversion:  { ratio: ['wasteDiverted', 'waste'], per: 100, decimals: 1 },
+      hazardousWaste:  { sum: 'hazardous', decimals: 0 },
+      circularInput:   { ratio: ['circular', 'material'], per: 100, decimals: 1 },
+      trir:            { ratio: ['recordables', 'hours'], per: 200000, decimals: 3 },
+      uptime:          { ratio: ['uptimeHours', 'scheduledHours'], per: 100, decimals: 1 },
+      sitesMonitored:  { count: true },
+    },
+    sites: [
+      { id: 'S01', name: 'Rotterdam Assembly', region: 'Benelux', unit: 'Manufacturing',
+        data: {
+          2021: { recordables: 2, hours: 799451 },
+          2023: { water: 163868, waterReused: 55516, waterProcessed: 219384, waste: 4496, wasteDiverted: 4271, hazardous: 38,
+                  material: 15275, circular: 11368, recordables: 1, hours: 837520, uptimeHours: 8531, scheduledHours: 8760 },
+          2024: { water: 163707, waterReused: 89111, waterProcessed: 252818, waste: 4117, wasteDiverted: 3818, hazardous: 36,
+                  material: 15622, circular: 13122, recordables: 2, hours: 851626, uptimeHours: 8643, scheduledHours: 8760 },
+        } },
+      { id: 'S02', name: 'Antwerp Distribution', region: 'Benelux', unit: 'Logistics',
+        data: {
+          2021: { recordables: 2, hours: 674299 },
+          2023: { water: 31412, waterReused: 9905, waterProcessed: 41317, waste: 1582, wasteDiverted: 1425, hazardous: 3,
+                  material: 937, circular: 664, recordables: 2, hours: 706409, uptimeHours: 8353, scheduledHours: 8400 },
+          2024: { water: 29960, waterReused: 14729, waterProcessed: 44689, waste: 1578, wasteDiverted: 1487, hazardous: 3,
+                  material: 958, circular: 806, recordables: 2, hours: 718306, uptimeHours: 8332, scheduledHours: 8400 },
+        } },
+      { id: 'S03', name: 'Eindhoven Components', region: 'Benelux', unit: 'Manufacturing',
+        data: {
+          2021: { recordables: 3, hours: 997602 },
+          2023: { water: 204484, waterReused: 87553, waterProcessed: 292037, waste: 5317, wasteDiverted: 4939, hazardous: 49,
+                  material: 19061, circular: 14041, recordables: 3, hours: 1045107, uptimeHours: 8716, scheduledHours: 8760 },
+          2024: { water: 197160, waterReused: 94946, waterProcessed: 292106, waste: 5137, wasteDiverted: 4873, hazardous: 44,
+                  material: 19495, circular: 16378, recordables: 1, hours: 1062709, uptimeHours: 8662, scheduledHours: 8760 },
+        } },
+      { id: 'S04', name: 'Venlo Logistics Hub', region: 'Benelux', unit: 'Logistics',
+        data: {
+          2021: { recordables: 2, hours: 444880 },
+          2023: { water: 20725, waterReused: 7491, waterProcessed: 28216, waste: 1076, wasteDiverted: 955, hazardous: 2,
+                  material: 618, circular: 416, recordables: 1, hours: 466065, uptimeHours: 8241, scheduledHours: 8400 },
+          2024: { water: 20527, waterReused: 9579, waterProcessed: 30106, waste: 1041, wasteDiverted: 958, hazardous: 2,
+                  material: 632, circular: 533, recordables: 1, hours: 473915, uptimeHours: 8340, scheduledHours: 8400 },
+        } },
+      { id: 'S05', name: 'Stuttgart Precision', region: 'Central Europe', unit: 'Manufacturing',
+        data: {
+          2021: { recordables: 4, hours: 1299187 },
+          2023: { water: 266301, waterReused: 104291, waterProcessed: 370592, waste: 7136, wasteDiverted: 6238, hazardous: 74,
+                  material: 24824, circular: 18972, recordables: 3, hours: 1361053, uptimeHours: 8671, scheduledHours: 8760 },
+          2024: { water: 263551, waterReused: 89218, waterProcessed: 352769, waste: 6691, wasteDiverted: 6494, hazardous: 58,
+                  material: 25388, circular: 20837, recordables: 2, hours: 1383976, uptimeHours: 8712, scheduledHours: 8760 },
+        } },
+      { id: 'S06', name: 'Wrocław Assembly', region: 'Central Europe', unit: 'Manufacturing',
+        data: {
+          2021: { recordables: 3, hours: 1164436 },
+          2023: { water: 238681, waterReused: 99704, waterProcessed: 338385, waste: 6558, wasteDiverted: 5879, hazardous: 58,
+                  material: 22249, circular: 14960, recordables: 2, hours: 1219885, uptimeHours: 8583, scheduledHours: 8760 },
+          2024: { water: 224114, waterReused: 121246, waterProcessed: 345360, waste: 5997, wasteDiverted: 5618, hazardous: 52,
+                  material: 22755, circular: 16952, recordables: 4, hours: 1240430, uptimeHours: 8660, scheduledHours: 8760 },
+        } },
+      { id: 'S07', name: 'Brno Components', region: 'Central Europe', unit: 'Manufacturing',
+        data: {
+          2021: { recordables: 2, hours: 1025062 },
+          2023: { water: 210113, waterReused: 57531, waterProcessed: 267644, waste: 5546, wasteDiverted: 4961, hazardous: 55,
+                  material: 19586, circular: 13555, recordables: 2, hours: 1073875, uptimeHours: 8646, scheduledHours: 8760 },
+          2024: { water: 207709, waterReused: 87358, waterProcessed: 295067, waste: 5279, wasteDiverted: 5106, hazardous: 46,
+                  material: 20031, circular: 14095, recordables: 2, hours: 1091961, uptimeHours: 8710, scheduledHours: 8760 },
+        } },
+      { id: 'S08', name: 'Poznań Distribution', region: 'Central Europe', unit: 'Logistics',
+        data: {
+          2021: { recordables: 2, hours: 619801 },
+          2023: { water: 28874, waterReused: 8996, waterProcessed: 37870, waste: 1471, wasteDiverted: 1324, hazardous: 3,
+                  material: 861, circular: 660, recordables: 2, hours: 649315, uptimeHours: 8300, scheduledHours: 8400 },
+          2024: { water: 28052, waterReused: 11566, waterProcessed: 39618, waste: 1451, wasteDiverted: 1379, hazardous: 3,
+                  material: 881, circular: 653, recordables: 2, hours: 660251, uptimeHours: 8315, scheduledHours: 8400 },
+        } },
+      { id: 'S09', name: 'Zaragoza Assembly', region: 'Iberia', unit: 'Manufacturing',
+        data: {
+          2021: { recordables: 5, hours: 1316801 },
+          2023: { water: 269911, waterReused: 77660, waterProcessed: 347571, waste: 7047, wasteDiverted: 6602, hazardous: 69,
+                  material: 25161, circular: 18347, recordables: 2, hours: 1379505, uptimeHours: 8693, scheduledHours: 8760 },
+          2024: { water: 244702, waterReused: 128473, waterProcessed: 373175, waste: 6782, wasteDiverted: 6026, hazardous: 58,
+                  material: 25733, circular: 20553, recordables: 2, hours: 1402739, uptimeHours: 8642, scheduledHours: 8760 },
+        } },
+      { id: 'S10', name: 'Valencia Moulding', region: 'Iberia', unit: 'Manufacturing',
+        data: {
+          2021: { recordables: 2, hours: 1171381 },
+          2023: { water: 240104, waterReused: 84732, waterProcessed: 324836, waste: 6192, wasteDiverted: 5847, hazardous: 63,
+                  material: 22382, circular: 15857, recordables: 3, hours: 1227161, uptimeHours: 8716, scheduledHours: 8760 },
+          2024: { water: 215722, waterReused: 88790, waterProcessed: 304512, waste: 6032, wasteDiverted: 5677, hazardous: 52,
+                  material: 22890, circular: 16074, recordables: 2, hours: 1247829, uptimeHours: 8657, scheduledHours: 8760 },
+        } },
+      { id: 'S11', name: 'Sevilla Components', region: 'Iberia', unit: 'Manufacturing',
+        data: {
+          2021: { recordables: 2, hours: 1268451 },
+          2023: { water: 260001, waterReused: 87764, waterProcessed: 347765, waste: 6760, wasteDiverted: 5912, hazardous: 62,
+                  material: 24237, circular: 15498, recordables: 3, hours: 1328854, uptimeHours: 8643, scheduledHours: 8760 },
+          2024: { water: 220990, waterReused: 82038, waterProcessed: 303028, waste: 6532, wasteDiverted: 6143, hazardous: 56,
+                  material: 24787, circular: 19786, recordables: 2, hours: 1351234, uptimeHours: 8716, scheduledHours: 8760 },
+        } },
+      { id: 'S12', name: 'Madrid Distribution', region: 'Iberia', unit: 'Logistics',
+        data: {
+          2021: { recordables: 1, hours: 582285 },
+          2023: { water: 27126, waterReused: 8068, waterProcessed: 35194, waste: 1419, wasteDiverted: 1333, hazardous: 3,
+                  material: 809, circular: 622, recordables: 1, hours: 610013, uptimeHours: 8239, scheduledHours: 8400 },
+          2024: { water: 23806, waterReused: 9613, waterProcessed: 33419, waste: 1363, wasteDiverted: 1301, hazardous: 2,
+                  material: 828, circular: 611, recordables: 1, hours: 620287, uptimeHours: 8358, scheduledHours: 8400 },
+        } },
+    ],
+    dataAsOf: '2024-12-31',
+    assurance: { coverage: 88, level: 'limited', standard: 'ISAE 3000' },
+    audience: 'Board ESG Report · SASB Industry Filing',
+  },
+
+  workforce: {
+    reportingYear: 2024,
+    keyMetrics: [
+      { id: 'headcount',       pillar: 'S', unit: 'count', label: 'Employees (Headcount)',
+        series: { 2020: 11240, 2021: 11580, 2022: 12010, 2023: 12460, 2024: 12830 } },
+      // Lost-time injuries per million hours worked
+      { id: 'ltifr',           pillar: 'S', unit: 'rate',  label: 'LTIFR (Lost-Time Injuries)',
+        series: { 2020: 2.9, 2021: 2.6, 2022: 2.2, 2023: 1.9, 2024: 1.6 },
+        baselineYear: 2020, target: { year: 2027, value: 1, label: '1.0 by 2027' } },
+      { id: 'turnover',        pillar: 'S', unit: '%',     label: 'Voluntary Turnover',
+        series: { 2020: 9.8, 2021: 12.4, 2022: 11.1, 2023: 9.6, 2024: 8.2 } },
+      { id: 'womenManagement', pillar: 'S', unit: '%',     label: 'Women in Management',
+        series: { 2020: 24, 2021: 26, 2022: 28, 2023: 30, 2024: 33 },
+        baselineYear: 2020, target: { year: 2030, value: 40, label: '40% by 2030' } },
+      { id: 'genderPayGap',    pillar: 'S', unit: '%',     label: 'Unadjusted Gender Pay Gap',
+        series: { 2021: 14.2, 2022: 13.1, 2023: 12, 2024: 10.9 } },
+      { id: 'trainingHours',   pillar: 'S', unit: 'h',     label: 'Training per Employee',
+        series: { 2020: 18, 2021: 21, 2022: 24, 2023: 26, 2024: 29 } },
+    ],
+    supportingMetrics: [
+      { id: 'newHires',           value: 1840,    unit: 'count', label: 'New employee hires' },
+      { id: 'fatalities',         value: 0,       unit: 'count', label: 'Work-related fatalities' },
+      { id: 'ltifrBasis',         value: 1000000, unit: 'count', label: 'LTIFR hours-worked basis' },
+      { id: 'ltifrTarget',        value: 1,       unit: 'rate',  label: 'LTIFR target' },
+      { id: 'ltifrTargetYear',    value: 2027,    unit: 'year',  label: 'LTIFR target year' },
+      { id: 'ohsCoverage',        value: 92,      unit: '%',     label: 'Workers covered by a certified OHS management system' },
+      { id: 'bargainingCoverage', value: 71,      unit: '%',     label: 'Employees covered by collective bargaining' },
+      { id: 'womenTarget',        value: 40,      unit: '%',     label: 'Women in management target' },
+      { id: 'womenTargetYear',    value: 2030,    unit: 'year',  label: 'Women in management target year' },
+      { id: 'engagementScore',    value: 78, prior: 74, unit: '%', label: 'Employee engagement score' },
+      { id: 'parentalReturn',     value: 94,      unit: '%',     label: 'Return-to-work rate after parental leave' },
+      { id: 'livingWageShare',    value: 99.6,    unit: '%',     label: 'Employees paid at least a living wage' },
+    ],
+    dataAsOf: '2024-12-31',
+    assurance: { coverage: 72, level: 'limited', standard: 'ISAE 3000' },
+    audience: 'Sustainability Report · ESRS S1 Own Workforce',
+  },
+
+  governance: {
+    reportingYear: 2024,
+    keyMetrics: [
+      { id: 'boardIndependence',      pillar: 'G', unit: '%',     label: 'Independent Board Members',
+        series: { 2020: 55, 2021: 58, 2022: 60, 2023: 64, 2024: 67 } },
+      { id: 'boardWomen',             pillar: 'G', unit: '%',     label: 'Women on the Board',
+        series: { 2020: 30, 2021: 33, 2022: 36, 2023: 40, 2024: 42 } },
+      { id: 'antiCorruptionTraining', pillar: 'G', unit: '%',     label: 'Anti-Corruption Training (At-Risk Roles)',
+        series: { 2021: 81, 2022: 88, 2023: 93, 2024: 97 } },
+      { id: 'corruptionIncidents',    pillar: 'G', value: 0, prior: 1, unit: 'count', label: 'Confirmed Corruption Incidents' },
+      { id: 'speakUpReports',         pillar: 'G', unit: 'count', label: 'Speak-Up Reports Received',
+        series: { 2021: 64, 2022: 82, 2023: 97, 2024: 118 } },
+      // ESRS G1-6 payment practices
+      { id: 'paymentDays',            pillar: 'G', unit: 'days',  label: 'Average Days to Pay Suppliers',
+        series: { 2021: 52, 2022: 49, 2023: 46, 2024: 41 },
+        baselineYear: 2021, target: { year: 2026, value: 30, label: '30 days by 2026' } },
+    ],
+    supportingMetrics: [
+      { id: 'boardSize',              value: 12,  unit: 'count', label: 'Board members' },
+      { id: 'boardMeetings',          value: 11,  unit: 'count', label: 'Board meetings held' },
+      { id: 'esgLinkedPay',           value: 20,  unit: '%',     label: 'Executive variable pay linked to ESG targets' },
+      { id: 'finesPaid',              value: 0,   unit: '€',     label: 'Fines for non-compliance, incl. anti-corruption' },
+      { id: 'politicalContributions', value: 0,   unit: '€',     label: 'Political contributions' },
+      { id: 'speakUpSubstantiated',   value: 23,  unit: 'count', label: 'Speak-up reports substantiated' },
+      { id: 'speakUpClosed',          value: 91,  unit: '%',     label: 'Speak-up cases closed on time' },
+      { id: 'speakUpDeadline',        value: 90,  unit: 'days',  label: 'Speak-up case closure deadline' },
+      { id: 'paymentTarget',          value: 30,  unit: 'days',  label: 'Payment days target' },
+      { id: 'paymentTargetYear',      value: 2026, unit: 'year', label: 'Payment days target year' },
+    ],
+    dataAsOf: '2024-12-31',
+    assurance: { coverage: 85, level: 'limited', standard: 'ISAE 3000' },
+    audience: 'Annual Report · Corporate Governance Statement',
+  },
+
+  biodiversity: {
+    reportingYear: 2024,
+    keyMetrics: [
+      { id: 'sitesNearKba',      pillar: 'E', value: 9, unit: 'count', label: 'Sites In or Near Sensitive Areas', note: 'of {{sitesAssessed|num}} sites screened' },
+      { id: 'landFootprint',     pillar: 'E', unit: 'ha', label: 'Total Land Footprint',
+        series: { 2021: 1480, 2022: 1465, 2023: 1452, 2024: 1438 } },
+      { id: 'landRestored',      pillar: 'E', unit: 'ha', label: 'Land Under Restoration',
+        series: { 2021: 42, 2022: 68, 2023: 95, 2024: 131 },
+        baselineYear: 2021, target: { year: 2030, value: 300, label: '300 ha by 2030' } },
+      { id: 'biodiversityPlans', pillar: 'G', unit: '%',  label: 'Sensitive Sites with Action Plans',
+        series: { 2021: 22, 2022: 44, 2023: 67, 2024: 78 },
+        baselineYear: 2021, target: { year: 2026, value: 100, label: 'All sites by 2026' } },
+      { id: 'sealedArea',        pillar: 'E', unit: '%',  label: 'Sealed Share of Land',
+        series: { 2021: 38.5, 2022: 38.1, 2023: 37.4, 2024: 36.2 } },
+      { id: 'deforestationFree', pillar: 'E', unit: '%',  label: 'Deforestation-Free Sourcing',
+        series: { 2022: 61, 2023: 74, 2024: 86 } },
+    ],
+    supportingMetrics: [
+      { id: 'sitesAssessed',          value: 64,   unit: 'count', label: 'Operational sites screened (TNFD LEAP)' },
+      { id: 'waterStressSites',       value: 14,   unit: 'count', label: 'Sites in high water-stress basins' },
+      { id: 'speciesSurveys',         value: 23,   unit: 'count', label: 'Sites with baseline species surveys' },
+      { id: 'highRiskCommodities',    value: 4,    unit: 'count', label: 'High-risk natural commodities sourced' },
+      { id: 'restorationTarget',      value: 300,  unit: 'ha',    label: 'Land restoration target' },
+      { id: 'restorationTargetYear',  value: 2030, unit: 'year',  label: 'Land restoration target year' },
+      { id: 'plansTargetYear',        value: 2026, unit: 'year',  label: 'Action plan coverage target year' },
+    ],
+    dataAsOf: '2024-12-31',
+    assurance: { coverage: 45, level: 'limited', standard: 'ISAE 3000' },
+    audience: 'TNFD Disclosure · ESRS E4 Statement',
+  },
+
+  supplychain: {
+    reportingYear: 2024,
+    keyMetrics: [
+      { id: 'tier1Suppliers',    pillar: 'G', value: 2340, prior: 2410, unit: 'count', label: 'Tier-1 Suppliers' },
+      { id: 'suppliersScreened', pillar: 'S', unit: '%',     label: 'Suppliers Risk-Screened',
+        series: { 2021: 41, 2022: 55, 2023: 68, 2024: 82 },
+        baselineYear: 2021, target: { year: 2027, value: 100, label: 'All tier-1 by 2027' } },
+      { id: 'highRiskSuppliers', pillar: 'S', unit: 'count', label: 'High-Risk Suppliers',
+        series: { 2022: 131, 2023: 118, 2024: 97 } },
+      { id: 'supplierAudits',    pillar: 'S', unit: 'count', label: 'On-Site Supplier Audits',
+        series: { 2021: 84, 2022: 112, 2023: 139, 2024: 176 } },
+      { id: 'correctiveClosed',  pillar: 'S', unit: '%',     label: 'Corrective Actions Closed',
+        series: { 2022: 58, 2023: 66, 2024: 74 } },
+      { id: 'codeCoverage',      pillar: 'G', unit: '%',     label: 'Spend Under Supplier Code',
+        series: { 2021: 72, 2022: 79, 2023: 85, 2024: 91 } },
+    ],
+    supportingMetrics: [
+      { id: 'riskCountries',        value: 18,   unit: 'count', label: 'Sourcing countries rated high-risk' },
+      { id: 'grievances',           value: 37,   unit: 'count', label: 'Supply-chain grievances received' },
+      { id: 'grievancesRemediated', value: 29,   unit: 'count', label: 'Supply-chain grievances remediated' },
+      { id: 'suppliersExited',      value: 6,    unit: 'count', label: 'Suppliers exited after failed remediation' },
+      { id: 'screeningTarget',      value: 100,  unit: '%',     label: 'Supplier risk-screening target' },
+      { id: 'screeningTargetYear',  value: 2027, unit: 'year',  label: 'Supplier risk-screening target year' },
+    ],
+    dataAsOf: '2024-12-31',
+    assurance: { coverage: 60, level: 'limited', standard: 'ISAE 3000' },
+    audience: 'CSDDD Due Diligence Statement · ESRS S2',
+  },
+
+};
+
+/* ══════════════════════════════════════════════════════════
+   1b. THEME REGISTRY — THEMES
+   Every theme the engine can report on. A theme declares:
+     name / icon / colorClass   how it is labelled and coloured
+     card                       its homepage card (section 3)
+     frameworks                 what it reports against (1e)
+     title / subtitle           the report heading, with
+                                per-audience overrides in `titles`
+     trends                     its Global ESG Trend Radar scores
+     derived / paragraphs /     its narrative templates
+       pullQuote / variants
+   Its data lives in DATA_PROFILES under the same key. A new
+   colorClass also needs its colour rules in style.css.
+
+   Templates are professional ESG prose. Every figure is a
+   placeholder resolved by renderTemplate() (section 1c):
+
+     {{id}}                   value with unit      → 18,450 tCO₂e
+     {{id|long}}              prose unit form      → €47.2 million
+     {{id|num}}               bare number          → 18,450
+     {{id.prior}}             comparison value     → 20,777 tCO₂e
+     {{id.change}}            size of the change   → 11.2% / 7 pp
+     {{id.delta}}             signed change        → −11.2%
+     {{id.dir:fell|rose|held}} phrase chosen by direction (down|up|flat)
+     {{id.record:a|b|c|d}}    as .dir, but `a` only when the fall is the
+                              steepest year-on-year drop in the series
+     {{fy}} / {{fyPrior}}     reporting periods    → FY2024 / FY2023
+     {{topic}} / {{frameworks}} profile name and framework list
+     {{scope}}                sites covered        → 4 sites in Iberia
+
+   `derived` metrics are computed from the profile's own values
+   so totals and differences in the prose always match the cards.
+══════════════════════════════════════════════════════════ */
+
+const THEMES = {
+
+  climate: {
+    name:       'Climate & Emissions',
+    icon:       '🌍',
     colorClass: 'climate',
+    card: {
+      tag:         'E · Environmental',
+      title:       'Climate & Emissions Narrative',
+      description: 'Scope 1, 2 & 3 GHG analysis, net-zero trajectory, carbon pricing exposure, TCFD risk scenarios, and EU Taxonomy alignment.',
+      chips:       ['GRI 305', 'TCFD', 'ISSB S2', 'SBTi'],
+    },
     frameworks: ['GRI 305', 'TCFD', 'ISSB IFRS S2', 'CSRD/ESRS E1', 'SBTi'],
-    keyMetrics: [
-      { pillar: 'E', value: '18,450', unit: ' tCO₂e', label: 'Total Scope 1 Emissions', change: '−11.2%', dir: 'down' },
-      { pillar: 'E', value: '72,100', unit: ' tCO₂e', label: 'Scope 2 (market-based)', change: '−14.8%', dir: 'down' },
-      { pillar: 'E', value: '1.5°C', unit: '',        label: 'SBTi Pathway Alignment', change: 'Confirmed', dir: 'flat' },
-      { pillar: 'G', value: '96%',   unit: '',        label: 'Data Assurance Level',   change: '3rd-party verified', dir: 'flat' },
-      { pillar: 'E', value: '2038',  unit: '',        label: 'Net-Zero Target Year',   change: '2yrs ahead of plan', dir: 'up' },
-      { pillar: 'S', value: '€47M',  unit: '',        label: 'Green CapEx FY2024',     change: '↑ 9.1% of total', dir: 'up' },
+    title:      'Climate Performance & Decarbonisation Progress: {{fy}} Strategic Disclosure',
+    subtitle:   'Science-based analysis of greenhouse gas trajectories, net-zero alignment, and carbon-related financial exposure across the enterprise value chain.',
+    titles: {
+      public: { title: 'Our Climate Progress in {{fy}}', subtitle: 'What we did to cut our greenhouse gas emissions this year, in plain language.' },
+    },
+    trends: [
+      { name: 'CBAM & Carbon Pricing',          score: 97 },
+      { name: 'Net-Zero Corporate Commitments', score: 94 },
+      { name: 'ISSB S2 Global Adoption',        score: 88 },
+      { name: 'Scope 3 Value Chain Pressure',   score: 83 },
     ],
+    derived: {
+      scope12:      { unit: 'tCO₂e', label: 'Scope 1 and 2 emissions', value: m => m.scope1.value + m.scope2.value, prior: m => m.scope1.prior + m.scope2.prior,
+                      series: m => sumSeries(m.scope1, m.scope2) },
+      netZeroLead:  { unit: 'count', label: 'Years ahead of net-zero commitment', value: m => m.netZeroCommitment.value - m.netZeroYear.value },
+      taxonomyReview: { unit: '%',   label: 'Green CapEx under Taxonomy review', value: m => 100 - m.taxonomyAligned.value },
+      scope3Share:  { unit: '%',     label: 'Scope 3 share of calculated footprint', value: m => Math.round(m.scope3.value / (m.scope3.value + m.scope1.value + m.scope2.value) * 100) },
+    },
     pullQuote: 'Science-based targets without data-backed performance are promises, not progress. This quarter, the numbers and the narrative finally align.',
     paragraphs: [
-      `Aggregate Scope 1 and Scope 2 greenhouse gas emissions fell to <strong>90,550 tCO₂e</strong> in FY2024 — a <span class="highlight-e">combined reduction of 13.4%</span> versus the prior year, and the steepest annual decline recorded in the company's emissions history. Scope 1 direct combustion emissions reached <strong>18,450 tCO₂e</strong>, driven by the retirement of two legacy gas-fired backup generators and the electrification of on-site fleet vehicles across four manufacturing campuses. Market-based Scope 2 emissions declined to <strong>72,100 tCO₂e</strong>, reflecting active procurement of Guarantees of Origin (GOs) from wind and solar installations meeting the RE100 additionality criteria.`,
-      `These outcomes place the organisation on a <span class="highlight-e">1.5°C-compatible trajectory</span> as validated by the Science Based Targets initiative (SBTi) — a commitment independently assessed against the absolute contraction method. Under TCFD's transition risk framework, the company's exposure to the EU Emissions Trading System, now pricing above <strong>€65 per tonne CO₂</strong>, has been meaningfully reduced. Avoided carbon cost in FY2024 is estimated at <strong>€5.9 million</strong> — a figure that amplifies the financial materiality of continued decarbonisation investment.`,
-      `Capital allocation to low-carbon infrastructure reached <strong>€47.2 million</strong> — representing 9.1% of total CapEx — spanning rooftop photovoltaic installations, building management system upgrades, and fleet electrification. As required under Article 8 of the EU Taxonomy Regulation, 61% of this expenditure qualifies as Taxonomy-aligned under the "climate change mitigation" environmental objective. The remaining 39% is under Taxonomy review pending updated delegated acts.`,
-      `Forward guidance: At current trajectory, Scope 1 and 2 net-zero is projected by <strong>2038</strong>, two years ahead of the 2040 commitment. Scope 3 emissions across the upstream value chain remain the primary outstanding data gap; a supplier engagement programme targeting 80% Scope 3 coverage by FY2026 was launched in Q3. Management affirms that no material gap exists between stated climate ambition and operational performance as at the reporting date.`,
+      `Aggregate Scope 1 and Scope 2 greenhouse gas emissions {{scope12.dir:fell|rose|held}} to <strong>{{scope12}}</strong> in {{fy}} — a <span class="highlight-e">combined {{scope12.dir:reduction|increase|change}} of {{scope12.change}}</span> versus the prior year{{scope12.record:, and the steepest annual decline recorded in the company's emissions history||, reversing the previous downward trend|}}. Scope 1 direct combustion emissions {{scope1.dir:fell|rose|held}} to <strong>{{scope1}}</strong>, driven by the retirement of two legacy gas-fired backup generators and the electrification of on-site fleet vehicles across four manufacturing campuses. Market-based Scope 2 emissions {{scope2.dir:declined|increased|held}} to <strong>{{scope2}}</strong> (location-based: {{scope2Location}}), reflecting active procurement of Guarantees of Origin (GOs) from wind and solar installations meeting the RE100 additionality criteria.`,
+      `These outcomes place the organisation on a <span class="highlight-e">{{sbtiPathway}}-compatible trajectory</span> as validated by the Science Based Targets initiative (SBTi) — a commitment independently assessed against the absolute contraction method. Under TCFD's transition risk framework, the company's exposure to the EU Emissions Trading System, now pricing above <strong>{{etsPrice}} per tonne CO₂</strong>, has been meaningfully reduced. Avoided carbon cost in {{fy}} is estimated at <strong>{{avoidedCarbonCost|long}}</strong> — a figure that amplifies the financial materiality of continued decarbonisation investment.`,
+      `Capital allocation to low-carbon infrastructure reached <strong>{{greenCapex|long}}</strong> — representing {{greenCapexShare}} of total CapEx — spanning rooftop photovoltaic installations, building management system upgrades, and fleet electrification. As required under Article 8 of the EU Taxonomy Regulation, {{taxonomyAligned}} of this expenditure qualifies as Taxonomy-aligned under the "climate change mitigation" environmental objective. The remaining {{taxonomyReview}} is under Taxonomy review pending updated delegated acts.`,
+      `Forward guidance: At current trajectory, Scope 1 and 2 net-zero is projected by <strong>{{netZeroYear}}</strong>, {{netZeroLead|num}} years ahead of the {{netZeroCommitment}} commitment. Scope 3 emissions were calculated for the first time in {{fy}}: purchased goods and services (Category 1) account for <strong>{{scope3Cat1}}</strong> and upstream transportation (Category 4) for <strong>{{scope3Cat4}}</strong> — {{scope3Share}} of the calculated footprint. As Category 1 rests on spend-based factors, a supplier engagement programme targeting {{scope3CoverageTarget}} supplier-specific coverage by FY{{scope3TargetYear}} was launched in Q3; the remaining categories are not yet quantified. Progress against stated climate ambition is reported each year against the SBTi-validated pathway set out above.`,
     ],
-    integrity: 98,
-    audience: 'CSRD Filing · Investor Disclosure',
+    variants: {
+      board: [
+        `In {{fy}}, combined Scope 1 and 2 emissions {{scope12.dir:fell|rose|held}} {{scope12.change}} to <strong>{{scope12}}</strong>, keeping the company on its SBTi-validated {{sbtiPathway}} pathway with net-zero projected for <strong>{{netZeroYear}}</strong>, {{netZeroLead|num}} years ahead of the {{netZeroCommitment}} commitment. Green CapEx of <strong>{{greenCapex|long}}</strong> ({{greenCapexShare}} of total) underpins the trajectory, and avoided EU ETS costs are estimated at {{avoidedCarbonCost|long}}. The principal open risk is Scope 3: first-year calculations put purchased goods and upstream transport at <strong>{{scope3}}</strong>, {{scope3Share}} of the calculated footprint, largely on spend-based factors; the Board is asked to note the supplier engagement programme targeting {{scope3CoverageTarget}} supplier-specific coverage by FY{{scope3TargetYear}}.`,
+      ],
+      investor: [
+        `Climate performance in {{fy}} carries direct financial materiality. With EU ETS allowances pricing above <strong>{{etsPrice}} per tonne CO₂</strong>, the {{scope12.change}} {{scope12.dir:reduction|increase|change}} in combined Scope 1 and 2 emissions to <strong>{{scope12}}</strong> translated into an estimated <strong>{{avoidedCarbonCost|long}}</strong> of avoided carbon cost, lowering the company's transition-risk exposure as defined under TCFD and IFRS S2.`,
+        `Capital allocation supports the trajectory: <strong>{{greenCapex|long}}</strong> of low-carbon CapEx, {{greenCapexShare}} of the total, of which {{taxonomyAligned}} is EU Taxonomy-aligned under the climate change mitigation objective and {{taxonomyReview}} remains under review. The SBTi-validated {{sbtiPathway}} pathway and a projected net-zero date of {{netZeroYear}} — {{netZeroLead|num}} years ahead of commitment — reduce the risk of stranded assets and future compliance cost.`,
+        `The key uncertainty for investors is Scope 3. First-year calculations put purchased goods and upstream transport at <strong>{{scope3}}</strong>, {{scope3Share}} of the calculated footprint, largely on spend-based factors; the company targets {{scope3CoverageTarget}} supplier-specific coverage by FY{{scope3TargetYear}}. Reported emissions data carries {{assurance}} third-party assurance coverage.`,
+      ],
+      public: [
+        `In {{fy}} our factories and offices produced <strong>{{scope12}}</strong> of greenhouse gases from the fuel we burn and the electricity we buy. That is a {{scope12.change}} {{scope12.dir:drop|rise|change}} on the year before.`,
+        `We got there by switching company vehicles to electric, shutting down old gas generators and buying electricity from wind and solar farms. We now expect to reach net zero for these emissions by {{netZeroYear}}, {{netZeroLead|num}} years earlier than we promised.`,
+        `There is still work to do. This year we worked out, for the first time, the emissions from the goods we buy and from transporting them: about {{scope3}}, or {{scope3Share}} of all the emissions we have measured. Much of this is an estimate based on what we spend, so we have started working with suppliers to get real figures from {{scope3CoverageTarget}} of them by {{scope3TargetYear}}.`,
+      ],
+    },
   },
 
   energy: {
-    topic: 'Energy & Efficiency',
-    icon: '⚡',
+    name:       'Energy & Efficiency',
+    icon:       '⚡',
     colorClass: 'energy',
+    card: {
+      tag:         'E · Environmental',
+      title:       'Energy & Efficiency Narrative',
+      description: 'Renewable energy mix, IoT consumption monitoring, energy intensity trends, RE100 progress, and avoided cost analysis.',
+      chips:       ['GRI 302', 'RE100', 'ISO 50001', 'CDP'],
+    },
     frameworks: ['GRI 302', 'ISO 50001', 'EU Taxonomy', 'CDP Energy', 'RE100'],
-    keyMetrics: [
-      { pillar: 'E', value: '2,140',  unit: ' GWh',  label: 'Total Energy Consumed',   change: '−6.3% YoY', dir: 'down' },
-      { pillar: 'E', value: '42%',    unit: '',       label: 'Renewable Energy Mix',    change: '↑ +7 pp YoY', dir: 'up' },
-      { pillar: 'E', value: '€4.2M',  unit: '',       label: 'Energy Cost Avoided',     change: 'vs 2022 baseline', dir: 'up' },
-      { pillar: 'G', value: '847',    unit: '',       label: 'Active IoT Sensors',      change: '15-sec refresh', dir: 'flat' },
-      { pillar: 'E', value: '1.8',    unit: ' tCO₂e', label: 'Carbon Intensity /MWh',  change: '−12% vs prior year', dir: 'down' },
-      { pillar: 'S', value: '620',    unit: '',       label: 'Staff Energy Trained',    change: '↑ 34% YoY', dir: 'up' },
-    ],
-    pullQuote: 'Forty-two per cent renewable energy is not a ceiling — it is the floor from which the next phase of the energy transition begins.',
+    title:      'Energy Transition Intelligence: Renewable Integration & Efficiency Performance {{fy}}',
+    subtitle:   'IoT-informed assessment of energy consumption, renewable portfolio expansion, and intensity reduction against 2030 efficiency targets.',
+    titles: {
+      public: { title: 'How We Used Energy in {{fy}}', subtitle: 'Where our energy comes from, how much we used, and what we are doing to use less.' },
+    },
+    trends: [
+      { name: 'RE100 Corporate Renewables', score: 91 },
+      { name: 'Energy Efficiency Mandates', score: 86 },
+      { name: 'Grid Flexibility & Storage', score: 79 },
+      { name: 'Green Power Procurement',    score: 74 },
+    ],
+    derived: {},
+    pullQuote: '{{renewableShare}} renewable energy is not a ceiling — it is the floor from which the next phase of the energy transition begins.',
     paragraphs: [
-      `Total energy consumption across all operational boundaries reached <strong>2,140 GWh</strong> in FY2024 — a <span class="highlight-e">6.3% reduction year-over-year</span>, achieved through a combination of ISO 50001-aligned energy management practices, real-time load optimisation via <strong>847 IoT monitoring nodes</strong>, and the elimination of energy-intensive legacy processes across three production lines. The carbon intensity of energy consumed declined to a record-low <strong>1.8 tCO₂e per MWh</strong>, outperforming the sector benchmark of 2.4 tCO₂e/MWh reported by the IEA for comparable manufacturing activities.`,
-      `Renewable energy now accounts for <span class="highlight-e">42% of total electricity consumption</span> — up from 35% in FY2023 — representing the single largest year-on-year improvement in the company's renewable portfolio since the RE100 commitment was made in 2021. This was achieved through onsite solar photovoltaic expansion (net addition: 38 MWp), two new Power Purchase Agreements with independently certified wind farms in Northern Europe, and the commissioning of a 12 MWh battery energy storage system enabling renewable dispatch into peak demand windows.`,
-      `The financial dimension of energy efficiency is equally material: avoided energy costs in FY2024 reached <strong>€4.2 million</strong> against the 2022 baseline, as efficiency measures reduced total consumption that would otherwise have occurred under business-as-usual assumptions. Energy intensity per unit of production declined by <span class="highlight-e">8.9%</span>, advancing the company's trajectory toward its 2030 target of a 40% reduction in energy intensity. Sub-metering at process level, enabled by the IoT sensor network, has provided granular attribution of savings by facility and shift pattern.`,
-      `Looking ahead, the energy roadmap to 2030 targets <span class="highlight-e">65% renewable energy penetration</span>, supported by a committed pipeline of 110 MWp of additional onsite generation and a third PPA under negotiation. The workforce dimension of this transition is equally prioritised: <strong>620 employees</strong> received structured energy efficiency training in FY2024, embedding operational ownership of consumption reduction across the organisation. All energy data in this disclosure is assured to a limited assurance level by an accredited third party under ISAE 3000 standards.`,
+      `Total energy consumption across all operational boundaries reached <strong>{{energyTotal}}</strong> in {{fy}} — a <span class="highlight-e">{{energyTotal.change}} {{energyTotal.dir:reduction|increase|change}} year-over-year</span>, achieved through a combination of ISO 50001-aligned energy management practices, real-time load optimisation via <strong>{{iotSensors|num}} IoT monitoring nodes</strong>, and the elimination of energy-intensive legacy processes across three production lines. The carbon intensity of energy consumed {{carbonIntensity.dir:declined to a record-low|rose to|held at}} <strong>{{carbonIntensity|long}}</strong>, {{carbonIntensity.dir:outperforming|measured against|measured against}} the sector benchmark of {{sectorIntensity}} reported by the IEA for comparable manufacturing activities.`,
+      `Renewable energy now accounts for <span class="highlight-e">{{renewableShare}} of total electricity consumption</span> — {{renewableShare.dir:down|up|unchanged}} from {{renewableShare.prior}} in {{fyPrior}} — representing the single largest year-on-year improvement in the company's renewable portfolio since the RE100 commitment was made in {{re100Year}}. This was achieved through onsite solar photovoltaic expansion (net addition: {{solarAdded}}), two new Power Purchase Agreements with independently certified wind farms in Northern Europe, and the commissioning of a {{batteryStorage}} battery energy storage system enabling renewable dispatch into peak demand windows.`,
+      `The financial dimension of energy efficiency is equally material: avoided energy costs in {{fy}} reached <strong>{{costAvoided|long}}</strong> against the {{costBaselineYear}} baseline, as efficiency measures reduced total consumption that would otherwise have occurred under business-as-usual assumptions. Energy intensity per unit of production {{energyIntensity.dir:declined|increased|held}} by <span class="highlight-e">{{energyIntensity.change}}</span>, advancing the company's trajectory toward its {{targetYear}} target of a {{intensityTarget}} reduction in energy intensity. Sub-metering at process level, enabled by the IoT sensor network, has provided granular attribution of savings by facility and shift pattern.`,
+      `Looking ahead, the energy roadmap to {{targetYear}} targets <span class="highlight-e">{{renewableTarget}} renewable energy penetration</span>, supported by a committed pipeline of {{solarPipeline}} of additional onsite generation and a third PPA under negotiation. The workforce dimension of this transition is equally prioritised: <strong>{{staffTrained|num}} employees</strong> received structured energy efficiency training in {{fy}}, embedding operational ownership of consumption reduction across the organisation. All energy data in this disclosure is assured to a limited assurance level by an accredited third party under ISAE 3000 standards.`,
     ],
-    integrity: 97,
-    audience: 'Sustainability Report · CDP Submission',
+    variants: {
+      board: [
+        `In {{fy}}, total energy consumption {{energyTotal.dir:fell|rose|held}} {{energyTotal.change}} to <strong>{{energyTotal}}</strong> while the renewable share {{renewableShare.dir:fell|rose|held}} to <strong>{{renewableShare}}</strong> ({{renewableShare.delta}}), delivering <strong>{{costAvoided|long}}</strong> of avoided energy cost against the {{costBaselineYear}} baseline. Carbon intensity {{carbonIntensity.dir:improved|worsened|held}} to {{carbonIntensity|long}}. Reaching the {{renewableTarget}} renewable target by {{targetYear}} depends on the committed {{solarPipeline}} onsite generation pipeline and a third PPA now under negotiation, which the Board should continue to monitor.`,
+      ],
+      investor: [
+        `Energy efficiency is a direct earnings lever: avoided energy costs reached <strong>{{costAvoided|long}}</strong> in {{fy}} against the {{costBaselineYear}} baseline, as total consumption {{energyTotal.dir:fell|rose|held}} {{energyTotal.change}} to <strong>{{energyTotal}}</strong> and energy intensity per unit of production {{energyIntensity.dir:improved|worsened|held}} by {{energyIntensity.change}}.`,
+        `A renewable share of <strong>{{renewableShare}}</strong>, {{renewableShare.dir:down|up|unchanged}} from {{renewableShare.prior}} in {{fyPrior}}, reduces exposure to fossil fuel price volatility and carbon cost pass-through; carbon intensity of {{carbonIntensity|long}} compares with an IEA sector benchmark of {{sectorIntensity}}. The {{renewableTarget}} renewable target for {{targetYear}} is backed by a committed {{solarPipeline}} onsite generation pipeline.`,
+        `All energy data is assured to a limited level under ISAE 3000, supporting its use in CDP and EU Taxonomy disclosures.`,
+      ],
+      public: [
+        `In {{fy}} we used <strong>{{energyTotal}}</strong> of energy, a {{energyTotal.change}} {{energyTotal.dir:drop|rise|change}} on the year before.`,
+        `{{renewableShare}} of our electricity now comes from renewable sources such as solar panels on our own roofs and wind farms, {{renewableShare.dir:down|up|unchanged}} from {{renewableShare.prior}} a year ago. Saving energy also saved money: about {{costAvoided|long}} compared with {{costBaselineYear}}.`,
+        `Our goal is for {{renewableTarget}} of our energy to come from renewable sources by {{targetYear}}. This year {{staffTrained|num}} employees were trained to help cut energy waste at work.`,
+      ],
+    },
   },
 
   operations: {
-    topic: 'Operations & IoT ESG',
-    icon: '🏭',
+    name:       'Operations & IoT ESG',
+    icon:       '🏭',
     colorClass: 'operations',
+    card: {
+      tag:         'E · S · G',
+      title:       'Operations & IoT ESG Narrative',
+      description: 'Water stewardship, circular economy, workforce safety, and real-time operational data — all sensor-verified and SBTN-aligned.',
+      chips:       ['GRI 303', 'GRI 306', 'SASB', 'SDG 12'],
+    },
     frameworks: ['GRI 303', 'GRI 306', 'SASB', 'UN SDG 9', 'UN SDG 12'],
-    keyMetrics: [
-      { pillar: 'E', value: '94%',    unit: '',       label: 'Waste Diversion Rate',    change: '↑ +3pp YoY', dir: 'up' },
-      { pillar: 'E', value: '−6.2%',  unit: '',       label: 'Water Withdrawal YoY',    change: 'vs SBT water target', dir: 'down' },
-      { pillar: 'S', value: '0.38',   unit: '',       label: 'TRIR (Safety Rate)',       change: '−28% vs 2021', dir: 'down' },
-      { pillar: 'G', value: '99.1%',  unit: '',       label: 'Uptime Across Sites',      change: '12 operating sites', dir: 'flat' },
-      { pillar: 'E', value: '78%',    unit: '',       label: 'Circular Material Input',  change: '↑ from 71% (FY23)', dir: 'up' },
-      { pillar: 'S', value: '12',     unit: '',       label: 'Sites Monitored Live',     change: 'Real-time IoT', dir: 'flat' },
+    title:      'Operational ESG Intelligence: IoT-Enabled Sustainability Performance {{fy}}',
+    subtitle:   'Real-time sensor data synthesis across water stewardship, circular economy, workforce safety, and operational integrity metrics.',
+    titles: {
+      public: { title: 'Inside Our Sites: {{fy}} in Numbers', subtitle: 'Water, waste and safety across our factories and warehouses, explained simply.' },
+    },
+    trends: [
+      { name: 'Circular Economy Regulation', score: 88 },
+      { name: 'Water Stewardship (SBTN)',    score: 82 },
+      { name: 'IoT & ESG Data Quality',      score: 78 },
+      { name: 'UN SDG 12 Supply Chains',     score: 73 },
     ],
+    derived: {
+      landfillShare: { unit: '%', label: 'Waste sent to landfill', value: m => 100 - m.wasteDiversion.value },
+    },
     pullQuote: 'When machines communicate ESG data in real time, sustainability stops being a reporting exercise and becomes an operational discipline.',
     paragraphs: [
-      `Across <strong>12 manufacturing and logistics sites</strong>, operational performance in FY2024 reflects the deepening integration of IoT sensor infrastructure into ESG management. Real-time monitoring, with a 15-second data refresh cycle across process points and utilities, has enabled continuous rather than periodic ESG tracking — closing the gap between operational reality and disclosed performance. The total recordable incident rate (TRIR) fell to <span class="highlight-s">0.38 per 200,000 hours worked</span>, a 28% reduction since 2021, attributable to predictive maintenance alerts, automated hazard detection, and a strengthened behavioural safety culture embedded through workforce training.`,
-      `Water stewardship remains a material topic given the geographic distribution of sites in water-stressed regions. Total water withdrawal declined by <span class="highlight-e">6.2%</span> year-over-year to 1.84 million cubic metres — a result directly enabled by IoT-linked flow sensors triggering automated conservation protocols when consumption approaches site-level budgets. This trajectory aligns with the Science Based Targets Network (SBTN) water framework, targeting a 15% reduction in absolute withdrawal by 2030 from a 2020 baseline. Water recycled and reused within facility boundaries reached <strong>31% of total water processed</strong>, up from 26% in FY2023.`,
-      `Circular economy performance advanced substantially. The overall waste diversion rate reached <span class="highlight-e">94%</span> — meaning less than 6% of generated waste was directed to landfill. Circular material inputs, incorporating recycled feedstocks and bio-based materials, now account for <span class="highlight-e">78% of total material input by mass</span>, up from 71% the prior year, advancing alignment with EU Green Deal supply chain standards. Hazardous waste generation declined by 14%, reflecting material substitution decisions guided by lifecycle assessment data embedded in procurement workflows.`,
-      `The broader value of IoT-enabled operations lies in the quality of ESG data it produces: <span class="highlight-g">99.1% operational uptime</span> across all monitored sites ensured continuous data capture, reducing the estimation methodologies previously required to bridge sensor gaps. This data completeness directly supports the disclosure integrity requirements of CSRD, ISSB, and SASB frameworks, where material omissions and significant estimation uncertainty are flagged as disclosure risks. Management confirms that no material ESG data was estimated or extrapolated in this period's operational reporting.`,
+      `Across <strong>{{scope}}</strong>, operational performance in {{fy}} reflects the deepening integration of IoT sensor infrastructure into ESG management. Real-time monitoring, with a {{refreshInterval|num}}-second data refresh cycle across process points and utilities, has enabled continuous rather than periodic ESG tracking — closing the gap between operational reality and disclosed performance. The total recordable incident rate (TRIR) {{trir.dir:fell|rose|held}} to <span class="highlight-s">{{trir}} per {{trirHoursBasis|num}} hours worked</span>, a {{trir.change}} {{trir.dir:reduction|increase|change}} since {{trir.refYear}}, attributable to predictive maintenance alerts, automated hazard detection, and a strengthened behavioural safety culture embedded through workforce training.`,
+      `Water stewardship remains a material topic given the geographic distribution of sites in water-stressed regions. Total water withdrawal {{waterWithdrawal.dir:declined|increased|held}} by <span class="highlight-e">{{waterWithdrawal.change}}</span> year-over-year to {{waterWithdrawal|long}} — a result directly enabled by IoT-linked flow sensors triggering automated conservation protocols when consumption approaches site-level budgets. This trajectory aligns with the Science Based Targets Network (SBTN) water framework, targeting a {{waterTarget}} reduction in absolute withdrawal by {{waterTargetYear}} from a {{waterBaselineYear}} baseline. Water recycled and reused within facility boundaries reached <strong>{{waterRecycled}} of total water processed</strong>, {{waterRecycled.dir:down|up|unchanged}} from {{waterRecycled.prior}} in {{fyPrior}}.`,
+      `Circular economy performance advanced substantially. The overall waste diversion rate reached <span class="highlight-e">{{wasteDiversion}}</span> — meaning less than {{landfillShare}} of generated waste was directed to landfill. Circular material inputs, incorporating recycled feedstocks and bio-based materials, now account for <span class="highlight-e">{{circularInput}} of total material input by mass</span>, {{circularInput.dir:down|up|unchanged}} from {{circularInput.prior}} the prior year, advancing alignment with EU Green Deal supply chain standards. Hazardous waste generation {{hazardousWaste.dir:declined|increased|held}} by {{hazardousWaste.change}}, reflecting material substitution decisions guided by lifecycle assessment data embedded in procurement workflows.`,
+      `The broader value of IoT-enabled operations lies in the quality of ESG data it produces: <span class="highlight-g">{{uptime}} operational uptime</span> across {{scope}} ensured continuous data capture, reducing the estimation methodologies previously required to bridge sensor gaps. This data completeness directly supports the disclosure integrity requirements of CSRD, ISSB, and SASB frameworks, where material omissions and significant estimation uncertainty are flagged as disclosure risks. Where a sensor gap did require estimation, the affected figures are flagged as estimates in this period's operational reporting.`,
     ],
-    integrity: 96,
-    audience: 'Board ESG Report · SASB Industry Filing',
+    variants: {
+      board: [
+        `Across {{scope}} in {{fy}}, the total recordable incident rate {{trir.dir:fell|rose|held}} to <strong>{{trir}}</strong> ({{trir.delta}} vs {{trir.refYear}}), water withdrawal {{waterWithdrawal.dir:fell|rose|held}} {{waterWithdrawal.change}} to {{waterWithdrawal|long}}, the waste diversion rate reached <strong>{{wasteDiversion}}</strong> and circular material input <strong>{{circularInput}}</strong>. Real-time monitoring at {{uptime}} uptime meant these figures required no estimation. Water remains the most material operational topic given sites in water-stressed regions; the Board should track progress against the {{waterTarget}} withdrawal reduction target for {{waterTargetYear}}.`,
+      ],
+      investor: [
+        `Operational ESG metrics map directly to cost and licence-to-operate risk. The total recordable incident rate {{trir.dir:fell|rose|held}} to <strong>{{trir}}</strong>, {{trir.change}} {{trir.dir:below|above|level with}} the {{trir.refYear}} level, lowering incident-related downtime and insurance exposure, while operational uptime of <strong>{{uptime}}</strong> across {{scope}} supports continuity of supply.`,
+        `Resource efficiency reduces input cost and regulatory exposure: water withdrawal {{waterWithdrawal.dir:fell|rose|held}} {{waterWithdrawal.change}} to {{waterWithdrawal|long}} across sites that include water-stressed catchments, the waste diversion rate reached {{wasteDiversion}}, circular material input reached {{circularInput}} and hazardous waste {{hazardousWaste.dir:fell|rose|held}} {{hazardousWaste.change}}. These positions align with SASB industry metrics and anticipated EU circular economy requirements.`,
+      ],
+      public: [
+        `We run sensors at {{scope}} that check water, energy, waste and safety every {{refreshInterval|num}} seconds.`,
+        `In {{fy}} the water we took from rivers and the ground {{waterWithdrawal.dir:fell|rose|changed}} by {{waterWithdrawal.change}} compared with the year before, and {{wasteDiversion}} of our waste was recycled or reused instead of going to landfill.`,
+        `Our workplaces became {{trir.dir:safer|less safe|no safer}} too: the rate of recorded injuries {{trir.dir:fell|rose|changed}} by {{trir.change}} since {{trir.refYear}}.`,
+      ],
+    },
+  },
+
+  workforce: {
+    name:       'Workforce & Human Rights',
+    icon:       '👥',
+    colorClass: 'workforce',
+    card: {
+      tag:         'S · Social',
+      title:       'Workforce & Human Rights Narrative',
+      description: 'Headcount and turnover, health and safety, diversity and pay equity, training, and collective bargaining across the own workforce.',
+      chips:       ['GRI 401', 'GRI 403', 'GRI 405', 'ESRS S1'],
+    },
+    frameworks: ['GRI 401', 'GRI 403', 'GRI 405', 'ESRS S1', 'UN SDG 8'],
+    title:      'Workforce & Human Rights Performance: {{fy}} Own-Workforce Disclosure',
+    subtitle:   'Employment, occupational health and safety, diversity, pay equity and development of the people who run the business.',
+    titles: {
+      public: { title: 'Our People in {{fy}}', subtitle: 'Who works for us, how safe they are at work, and how fairly they are paid.' },
+    },
+    trends: [
+      { name: 'EU Pay Transparency Directive', score: 92 },
+      { name: 'Human Rights Due Diligence',    score: 87 },
+      { name: 'Psychosocial Risk & Wellbeing', score: 79 },
+      { name: 'Living Wage Commitments',       score: 72 },
+    ],
+    derived: {},
+    pullQuote: 'Safety, fairness and development are measured the way emissions are: every year, against a baseline, in public.',
+    paragraphs: [
+      `The organisation employed <strong>{{headcount|num}} people</strong> at the end of {{fy}}, {{headcount.dir:down|up|unchanged}} {{headcount.change}} on the prior year, with {{newHires|num}} new hires joining during the year. Voluntary turnover {{turnover.dir:fell|rose|held}} to <span class="highlight-s">{{turnover}}</span> from {{turnover.prior}} in {{fyPrior}}, and {{bargainingCoverage}} of employees are covered by collective bargaining agreements, as reported under GRI 401 and ESRS S1.`,
+      `The lost-time injury frequency rate {{ltifr.dir:fell|rose|held}} to <span class="highlight-s">{{ltifr}} per {{ltifrBasis|num}} hours worked</span>, a {{ltifr.change}} {{ltifr.dir:reduction|increase|change}} on {{fyPrior}}, and {{fatalities|num}} work-related fatalities were recorded. {{ohsCoverage}} of workers are covered by an occupational health and safety management system certified to ISO 45001, and the company targets an LTIFR of {{ltifrTarget}} by {{ltifrTargetYear}}.`,
+      `Women now hold <span class="highlight-s">{{womenManagement}} of management positions</span>, {{womenManagement.dir:down|up|unchanged}} from {{womenManagement.prior}} in {{fyPrior}}, against a target of {{womenTarget}} by {{womenTargetYear}}. The unadjusted gender pay gap {{genderPayGap.dir:narrowed|widened|held}} to <strong>{{genderPayGap}}</strong> ({{genderPayGap.delta}}), and every pay-band review now includes an equal-pay audit in preparation for the EU Pay Transparency Directive.`,
+      `Employees completed an average of <strong>{{trainingHours|long}} of training</strong> in {{fy}}, {{trainingHours.dir:down|up|unchanged}} from {{trainingHours.prior}} the year before, and the annual engagement survey scored <span class="highlight-g">{{engagementScore}}</span> ({{engagementScore.delta}}). {{parentalReturn}} of employees who took parental leave returned to work, and {{livingWageShare}} of employees are paid at least a living wage as assessed by an independent provider.`,
+    ],
+    variants: {
+      board: [
+        `In {{fy}}, the lost-time injury frequency rate {{ltifr.dir:fell|rose|held}} {{ltifr.change}} to <strong>{{ltifr}}</strong> with {{fatalities|num}} fatalities, voluntary turnover {{turnover.dir:fell|rose|held}} to {{turnover}}, and women held <strong>{{womenManagement}}</strong> of management roles against the {{womenTarget}} target for {{womenTargetYear}}. The unadjusted gender pay gap of {{genderPayGap}} is the principal exposure ahead of EU pay transparency reporting; the Board is asked to note the equal-pay audit now built into every pay-band review.`,
+      ],
+      investor: [
+        `People costs and risks are financially material in {{fy}}. Voluntary turnover {{turnover.dir:fell|rose|held}} to <strong>{{turnover}}</strong> from {{turnover.prior}}, {{turnover.dir:lowering|raising|holding}} the replacement cost of hiring and onboarding across a workforce of {{headcount|num}}, and the lost-time injury frequency rate {{ltifr.dir:fell|rose|held}} {{ltifr.change}} to {{ltifr}}, {{ltifr.dir:reducing|adding to|holding}} lost working time and insurance exposure.`,
+        `The principal regulatory exposure is pay equity: the unadjusted gender pay gap stands at <strong>{{genderPayGap}}</strong> ({{genderPayGap.delta}}), and the EU Pay Transparency Directive requires a joint pay assessment wherever a gap above five percent cannot be justified. Women hold {{womenManagement}} of management roles against a target of {{womenTarget}} by {{womenTargetYear}}, and {{livingWageShare}} of employees are paid at least a living wage.`,
+      ],
+      public: [
+        `At the end of {{fy}} we employed {{headcount|num}} people, and {{newHires|num}} joined us during the year.`,
+        `Our workplaces became {{ltifr.dir:safer|less safe|no safer}}: injuries that kept someone off work {{ltifr.dir:fell|rose|changed}} by {{ltifr.change}}. Women now hold {{womenManagement}} of management jobs, and we want that to be {{womenTarget}} by {{womenTargetYear}}. On average, women at the company earn {{genderPayGap}} less than men, and we are working to close that gap.`,
+      ],
+    },
+  },
+
+  governance: {
+    name:       'Governance & Business Conduct',
+    icon:       '⚖️',
+    colorClass: 'governance',
+    card: {
+      tag:         'G · Governance',
+      title:       'Governance & Business Conduct Narrative',
+      description: 'Board independence and diversity, anti-corruption, speak-up channels, ESG-linked pay and supplier payment practices.',
+      chips:       ['GRI 2', 'ESRS G1', 'GRI 205', 'ISO 37001'],
+    },
+    frameworks: ['GRI 2', 'ESRS G1', 'GRI 205', 'ISO 37001'],
+    title:      'Governance & Business Conduct: {{fy}} Corporate Governance Disclosure',
+    subtitle:   'Board oversight, business ethics, whistleblower protection and payment practices that underpin every other disclosure.',
+    titles: {
+      public: { title: 'How We Are Run: {{fy}}', subtitle: 'Who oversees the company, how we prevent bribery, and how people can raise concerns.' },
+    },
+    trends: [
+      { name: 'Board ESG Oversight',         score: 90 },
+      { name: 'Anti-Corruption Enforcement', score: 84 },
+      { name: 'Whistleblower Protection',    score: 81 },
+      { name: 'Late Payment Regulation',     score: 70 },
+    ],
+    derived: {},
+    pullQuote: 'Good governance is what makes every other number in a sustainability report worth believing.',
+    paragraphs: [
+      `The Board of Directors met {{boardMeetings|num}} times in {{fy}}. Of its {{boardSize|num}} members, <span class="highlight-g">{{boardIndependence}} are independent</span> — {{boardIndependence.dir:down|up|unchanged}} from {{boardIndependence.prior}} in {{fyPrior}} — and women hold {{boardWomen}} of seats. Oversight of sustainability matters sits with the Board's Sustainability Committee, and {{esgLinkedPay}} of executive variable pay is linked to ESG targets set by the Remuneration Committee, as disclosed under GRI 2.`,
+      `Business conduct is governed by the Code of Conduct and an anti-bribery management system certified to ISO 37001. <span class="highlight-g">{{antiCorruptionTraining}} of employees in roles at risk</span> completed anti-corruption training in {{fy}}, {{antiCorruptionTraining.dir:down|up|unchanged}} from {{antiCorruptionTraining.prior}}, and <strong>{{corruptionIncidents|num}} confirmed incidents of corruption</strong> were recorded, against {{corruptionIncidents.prior}} the year before. Fines for non-compliance totalled {{finesPaid}}, and political contributions {{politicalContributions}}.`,
+      `The confidential speak-up channel received <strong>{{speakUpReports|num}} reports</strong> in {{fy}}, {{speakUpReports.dir:down|up|unchanged}} {{speakUpReports.change}} on {{fyPrior}}. {{speakUpSubstantiated|num}} reports were substantiated after investigation, and {{speakUpClosed}} of cases were closed within {{speakUpDeadline}}. Reporters are protected under the EU Whistleblower Directive, and the Audit Committee reviews every substantiated case.`,
+      `Payment practices are reported under ESRS G1: the average time taken to pay suppliers {{paymentDays.dir:fell|rose|held}} to <span class="highlight-g">{{paymentDays}}</span> from {{paymentDays.prior}} in {{fyPrior}}, as e-invoicing was extended to all business units. The company targets {{paymentTarget}} by {{paymentTargetYear}}, with small and medium-sized suppliers paid first.`,
+    ],
+    variants: {
+      board: [
+        `In {{fy}}, {{boardIndependence}} of the Board was independent and women held {{boardWomen}} of seats; {{esgLinkedPay}} of executive variable pay is tied to ESG targets. Anti-corruption training reached {{antiCorruptionTraining}} of employees in roles at risk, with {{corruptionIncidents|num}} confirmed incidents, and the speak-up channel received <strong>{{speakUpReports|num}} reports</strong> ({{speakUpReports.delta}}), of which {{speakUpSubstantiated|num}} were substantiated. The Board should track average payment days, now {{paymentDays}}, against the {{paymentTarget}} target for {{paymentTargetYear}}.`,
+      ],
+      investor: [
+        `Governance quality underpins the cost of capital. In {{fy}}, {{boardIndependence}} of the Board was independent, {{esgLinkedPay}} of executive variable pay was linked to ESG targets, and fines for non-compliance totalled {{finesPaid}}.`,
+        `Conduct risk remains contained: <strong>{{corruptionIncidents|num}} confirmed incidents of corruption</strong> were recorded, against {{corruptionIncidents.prior}} the year before, with anti-corruption training reaching {{antiCorruptionTraining}} of employees in roles at risk under an ISO 37001-certified management system. Average supplier payment days {{paymentDays.dir:fell|rose|held}} to {{paymentDays}}, against a target of {{paymentTarget}} by {{paymentTargetYear}}, {{paymentDays.dir:reducing|increasing|holding}} exposure to late-payment regulation.`,
+      ],
+      public: [
+        `Our Board has {{boardSize|num}} members: {{boardIndependence}} are independent of management and {{boardWomen}} are women.`,
+        `In {{fy}}, {{antiCorruptionTraining}} of staff in roles exposed to bribery were trained to spot and refuse it, and {{speakUpReports|num}} concerns were raised through our confidential speak-up line. We now pay suppliers in {{paymentDays}} on average.`,
+      ],
+    },
+  },
+
+  biodiversity: {
+    name:       'Biodiversity & Nature',
+    icon:       '🌿',
+    colorClass: 'biodiversity',
+    card: {
+      tag:         'E · Environmental',
+      title:       'Biodiversity & Nature Narrative',
+      description: 'Sites in sensitive areas, land footprint and restoration, site action plans, and deforestation-free sourcing of high-risk commodities.',
+      chips:       ['TNFD', 'ESRS E4', 'GRI 101', 'SBTN'],
+    },
+    frameworks: ['TNFD', 'ESRS E4', 'GRI 101', 'SBTN'],
+    title:      'Nature & Biodiversity: {{fy}} Dependencies, Impacts and Restoration',
+    subtitle:   'Location-based assessment of nature-related impacts following the TNFD LEAP approach, with land use, restoration and commodity sourcing metrics.',
+    titles: {
+      public: { title: 'Our Impact on Nature in {{fy}}', subtitle: 'Where our sites meet nature, the land we are restoring, and how we source raw materials.' },
+    },
+    trends: [
+      { name: 'TNFD Adoption',              score: 89 },
+      { name: 'EU Deforestation Regulation', score: 86 },
+      { name: 'Nature Restoration Law',      score: 77 },
+      { name: 'SBTN Land & Freshwater',      score: 71 },
+    ],
+    derived: {},
+    pullQuote: 'What a business takes from nature, and what it gives back, can be measured site by site.',
+    paragraphs: [
+      `Following the TNFD LEAP approach, {{sitesAssessed|num}} operational sites were screened in {{fy}} for their interface with nature. <strong>{{sitesNearKba|num}} sites</strong> lie in or near biodiversity-sensitive areas such as Key Biodiversity Areas and protected areas, and {{waterStressSites|num}} draw water from high water-stress basins; these are the priority locations under ESRS E4. The total land footprint {{landFootprint.dir:fell|rose|held}} to <span class="highlight-e">{{landFootprint|long}}</span>, {{landFootprint.change}} {{landFootprint.dir:below|above|level with}} {{fyPrior}}.`,
+      `Restoration is the core of the nature programme: <span class="highlight-e">{{landRestored|long}}</span> of former industrial and buffer land is now under active restoration, {{landRestored.dir:down|up|unchanged}} from {{landRestored.prior}} a year earlier, towards a target of {{restorationTarget}} by {{restorationTargetYear}}. The sealed share of the land footprint {{sealedArea.dir:fell|rose|held}} to {{sealedArea}} as car parks and yards were de-paved, and {{speciesSurveys|num}} sites now hold baseline species surveys against which change can be measured.`,
+      `Of the sites in or near sensitive areas, <strong>{{biodiversityPlans}}</strong> have a site biodiversity action plan in place, {{biodiversityPlans.dir:down|up|unchanged}} from {{biodiversityPlans.prior}} in {{fyPrior}}; plans for the remaining sites are scheduled for {{plansTargetYear}}. Each plan sets out the site's dependencies and impacts on nature and the mitigation hierarchy applied to them.`,
+      `The company sources {{highRiskCommodities|num}} commodities that the TNFD classes as high-risk: palm oil, soy, timber and natural rubber. <span class="highlight-e">{{deforestationFree}} of these volumes</span> were verified deforestation- and conversion-free in {{fy}}, {{deforestationFree.dir:down|up|unchanged}} from {{deforestationFree.prior}} in {{fyPrior}}, in preparation for the EU Deforestation Regulation.`,
+    ],
+    variants: {
+      board: [
+        `In {{fy}}, {{sitesNearKba|num}} of {{sitesAssessed|num}} screened sites were found in or near biodiversity-sensitive areas, and {{biodiversityPlans}} of those now have action plans. Land under restoration reached <strong>{{landRestored|long}}</strong> against a {{restorationTarget}} target for {{restorationTargetYear}}, and {{deforestationFree}} of high-risk commodity volumes were verified deforestation-free. The Board should note that the EU Deforestation Regulation requires full verification of these volumes.`,
+      ],
+      investor: [
+        `Nature-related risk is increasingly priced by lenders and investors. Of {{sitesAssessed|num}} sites screened in {{fy}}, <strong>{{sitesNearKba|num}}</strong> lie in or near biodiversity-sensitive areas, where permitting, expansion and reputational risk is concentrated; {{biodiversityPlans}} of those sites have an action plan in place.`,
+        `Commodity sourcing is the main transition exposure: {{deforestationFree}} of high-risk commodity volumes were verified deforestation-free, {{deforestationFree.dir:down|up|unchanged}} from {{deforestationFree.prior}}, ahead of the EU Deforestation Regulation's market-access requirements. Land under restoration reached {{landRestored|long}}, against a target of {{restorationTarget}} by {{restorationTargetYear}}.`,
+      ],
+      public: [
+        `We checked {{sitesAssessed|num}} of our sites to see how they affect nature nearby. {{sitesNearKba|num}} are close to areas that are especially important for wildlife, and {{biodiversityPlans}} of those now have a plan for protecting it.`,
+        `We are turning old industrial land back into habitat: {{landRestored|long}} so far, and we want to reach {{restorationTarget}} by {{restorationTargetYear}}. {{deforestationFree}} of the palm oil, soy, timber and rubber we buy was checked to make sure no forest was cleared for it.`,
+      ],
+    },
+  },
+
+  supplychain: {
+    name:       'Supply Chain Due Diligence',
+    icon:       '🔗',
+    colorClass: 'supplychain',
+    card: {
+      tag:         'S · G · Value Chain',
+      title:       'Supply Chain Due Diligence Narrative',
+      description: 'Supplier risk screening, audits and corrective actions, grievance mechanisms and code-of-conduct coverage under the CSDDD.',
+      chips:       ['CSDDD', 'GRI 414', 'ESRS S2', 'OECD'],
+    },
+    frameworks: ['CSDDD', 'GRI 414', 'ESRS S2', 'OECD Due Diligence Guidance'],
+    title:      'Supply Chain Due Diligence: {{fy}} Human Rights & Environmental Statement',
+    subtitle:   'Risk-based identification, prevention and remediation of adverse impacts across the supplier base, aligned with the CSDDD.',
+    titles: {
+      public: { title: 'Who Makes What We Buy: {{fy}}', subtitle: 'How we check our suppliers for forced labour, unsafe work and pollution, and what we do when we find it.' },
+    },
+    trends: [
+      { name: 'CSDDD Implementation',       score: 93 },
+      { name: 'Forced Labour Import Bans',  score: 88 },
+      { name: 'Supplier Traceability',      score: 80 },
+      { name: 'Responsible Purchasing',     score: 69 },
+    ],
+    derived: {},
+    pullQuote: 'Due diligence is not a questionnaire sent once a year. It is a relationship, and it ends when a supplier refuses to remediate.',
+    paragraphs: [
+      `The company sourced from <strong>{{tier1Suppliers|num}} first-tier suppliers</strong> in {{fy}}, including suppliers in {{riskCountries|num}} countries rated high-risk for human rights or environmental harm. Following the risk-based approach of the Corporate Sustainability Due Diligence Directive (CSDDD) and the OECD Due Diligence Guidance, <span class="highlight-s">{{suppliersScreened}} of first-tier suppliers</span> have now been screened for adverse impacts, {{suppliersScreened.dir:down|up|unchanged}} from {{suppliersScreened.prior}} in {{fyPrior}}, identifying <strong>{{highRiskSuppliers|num}} high-risk suppliers</strong> for enhanced due diligence.`,
+      `Prevention and remediation are tracked supplier by supplier. {{supplierAudits|num}} on-site audits were carried out in {{fy}}, {{supplierAudits.dir:down|up|unchanged}} {{supplierAudits.change}} year-over-year, and <span class="highlight-s">{{correctiveClosed}} of corrective actions</span> raised were closed, against {{correctiveClosed.prior}} in {{fyPrior}}. Where remediation failed, the relationship was ended as a last resort: {{suppliersExited|num}} suppliers were exited during the year.`,
+      `The supply-chain grievance channel, open to workers, communities and their representatives, received <strong>{{grievances|num}} grievances</strong>; {{grievancesRemediated|num}} have been remediated and the rest remain under investigation. The Supplier Code of Conduct, which sets the human rights and environmental expectations placed on business partners, now covers <span class="highlight-g">{{codeCoverage}} of procurement spend</span>, {{codeCoverage.dir:down|up|unchanged}} from {{codeCoverage.prior}}.`,
+      `Risk screening is planned to cover {{screeningTarget}} of first-tier suppliers by {{screeningTargetYear}}. The next phase extends due diligence to second-tier suppliers in the high-risk categories the assessment identified, starting with raw materials sourced from the {{riskCountries|num}} high-risk countries.`,
+    ],
+    variants: {
+      board: [
+        `In {{fy}}, {{suppliersScreened}} of {{tier1Suppliers|num}} first-tier suppliers had been screened for human rights and environmental risk, identifying {{highRiskSuppliers|num}} high-risk suppliers; {{supplierAudits|num}} on-site audits were carried out and {{correctiveClosed}} of corrective actions closed. {{suppliersExited|num}} suppliers were exited after failed remediation. As CSDDD obligations phase in, the Board should track screening coverage against the {{screeningTarget}} target for {{screeningTargetYear}}.`,
+      ],
+      investor: [
+        `Supply-chain due diligence is becoming a condition of market access under the CSDDD and forced-labour import bans. In {{fy}}, {{suppliersScreened}} of {{tier1Suppliers|num}} first-tier suppliers had been screened for human rights and environmental risk, and <strong>{{highRiskSuppliers|num}} high-risk suppliers</strong> were placed under enhanced due diligence.`,
+        `Remediation limits both legal and supply-continuity risk: {{correctiveClosed}} of corrective actions were closed and {{suppliersExited|num}} suppliers were exited after failed remediation. Screening is planned to cover {{screeningTarget}} of first-tier suppliers by {{screeningTargetYear}}.`,
+      ],
+      public: [
+        `We buy from {{tier1Suppliers|num}} direct suppliers. In {{fy}} we had checked {{suppliersScreened}} of them for risks such as forced labour, unsafe work and pollution, and we visited {{supplierAudits|num}} of their sites.`,
+        `People who work for our suppliers can raise concerns with us directly: {{grievances|num}} did so this year, and {{grievancesRemediated|num}} cases have been put right.`,
+      ],
+    },
   },
 
 };
 
+/* Audience variants. Each theme template may give `variants[key]`
+   paragraphs written for that reader; `fallback` picks paragraphs
+   from the full report when a theme has none. `preamble` is put
+   in front of the paragraphs, and title/subtitle are rewritten
+   unless the theme gives its own under `titles`. */
+const AUDIENCE_VARIANTS = {
+  standard: {
+    label:     'Full Report',
+    pullQuote: true,
+  },
+  board: {
+    label:     'Board Summary',
+    line:      'Board ESG Report · Executive Summary',
+    fallback:  paras => paras.slice(0, 1),
+    pullQuote: false,
+    title:     t => `Board Briefing — ${t}`,
+    subtitle:  'One-paragraph summary of {{fy}} performance, material risks and the decisions required of the Board.',
+  },
+  investor: {
+    label:     'Investor Briefing',
+    line:      'Investor Disclosure · Financial Materiality',
+    fallback:  paras => paras,
+    pullQuote: true,
+    title:     t => `${t} — Investor Briefing`,
+    subtitle:  'Financially material performance, risk exposure and capital allocation for investors and analysts.',
+  },
+  csrd: {
+    label:     'CSRD / ESRS Filing',
+    line:      'CSRD Filing · ESRS Sustainability Statement',
+    fallback:  paras => paras,
+    pullQuote: false,
+    preamble:  'This {{topic}} disclosure forms part of the sustainability statement for the reporting period {{fy}} and is prepared with reference to {{frameworks}}. Quantitative data points are stated for the reporting period with {{fyPrior}} comparatives where available. The data quality checks applied are set out under Narrative Integrity, and framework coverage under Framework Alignment.',
+    title:     t => `${t} — ESRS Sustainability Statement`,
+    subtitle:  'Prepared for inclusion in the {{fy}} sustainability statement under the European Sustainability Reporting Standards (ESRS).',
+  },
+  public: {
+    label:     'Public Summary',
+    line:      'Public Communication · Plain Language',
+    fallback:  paras => paras.slice(0, 2),
+    pullQuote: true,
+    title:     t => t,
+    subtitle:  'A plain-language summary of what we did in {{fy}} and what comes next.',
+  },
+};
+
 /* ══════════════════════════════════════════════════════════
-   2. UTILITY — Get today's date in report format
+   1c. TEMPLATE ENGINE — generateNarrative()
+   Resolves metric values, computes changes and fills the
+   templates above. Pure functions; no DOM access.
 ══════════════════════════════════════════════════════════ */
 
-function getReportDate() {
-  const d = new Date();
-  return d.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+/* Number of decimals a value is written with (max 2) */
+function decimalsOf(num) {
+  const frac = String(num).split('.')[1];
+  return frac ? Math.min(frac.length, 2) : 0;
 }
 
-/* ══════════════════════════════════════════════════════════
-   3. HOMEPAGE — Wire button click events
-══════════════════════════════════════════════════════════ */
+/* 18450 → "18,450"; years are never grouped */
+function formatNumber(num, unit, decimals) {
+  if (unit === 'year') return String(num);
+  const d = decimals != null ? decimals : (UNITS[unit] && UNITS[unit].integer ? 0 : decimalsOf(num));
+  return num.toLocaleString('en-GB', { minimumFractionDigits: d, maximumFractionDigits: d });
+}
 
-function initHomepage() {
-  const buttons = document.querySelectorAll('.theme-card[data-topic]');
-  if (!buttons.length) return;
+/* Number plus unit, in 'card', 'text' or 'long' style */
+function formatQuantity(num, unit, style, decimals) {
+  const def = UNITS[unit] || {};
+  const n = formatNumber(num, unit, decimals);
+  if (style === 'long' && def.long) return `${def.prefix || ''}${n}${def.long}`;
+  return `${def.prefix || ''}${n}${def.suffix || ''}`;
+}
 
-  buttons.forEach(btn => {
-    btn.addEventListener('click', () => {
-      const topic = btn.getAttribute('data-topic');
-      if (!DATA_PROFILES[topic]) return;
+/* Unit as written in a table header, e.g. "million m³" or "€M" */
+function unitLabel(unit) {
+  const def = UNITS[unit] || {};
+  return `${def.prefix || ''}${def.suffix || ''}`.trim();
+}
 
-      // Show loading overlay briefly for UX realism
-      const overlay = document.getElementById('loadingOverlay');
-      if (overlay) overlay.classList.add('visible');
+/* Signed number with a typographic minus, e.g. −11.2 */
+function signed(num, text) {
+  return `${num < 0 ? '−' : num > 0 ? '+' : '±'}${text}`;
+}
 
-      // Store selection in sessionStorage so generate.html can read it
-      sessionStorage.setItem('esg_topic', topic);
+/* Fill in change, direction and display strings for one metric */
+function resolveMetric(m) {
+  const out = Object.assign({}, m);
+  const comp = m.prior != null ? { value: m.prior, label: 'YoY' }
+             : m.ref            ? { value: m.ref.value, label: `vs ${m.ref.year}` }
+             : null;
 
-      // Navigate after a short simulated "processing" delay
-      setTimeout(() => {
-        window.location.href = 'generate.html';
-      }, 1100);
-    });
+  if (comp && comp.value !== 0) {
+    // Percentages move in percentage points, everything else in relative %
+    const isShare = m.unit === '%';
+    const delta = isShare ? m.value - comp.value : (m.value - comp.value) / Math.abs(comp.value) * 100;
+    const mag = isShare ? `${formatNumber(Math.abs(delta), '%', decimalsOf(delta) ? 1 : 0)} pp` : `${Math.abs(delta).toFixed(1).replace(/\.0$/, '')}%`;
+    out.delta   = delta;
+    out.changeAbs = mag;
+    out.changeSigned = signed(Math.round(delta * 10) / 10, mag);
+    out.dir     = m.dir || (delta < 0 ? 'down' : delta > 0 ? 'up' : 'flat');
+    out.compareLabel = comp.label;
+  } else {
+    out.dir = m.dir || 'flat';
+  }
+  out.refYear = m.ref ? m.ref.year : null;
+  return out;
+}
 
-    // Keyboard accessibility
-    btn.addEventListener('keydown', e => {
-      if (e.key === 'Enter' || e.key === ' ') {
-        e.preventDefault();
-        btn.click();
-      }
-    });
-  });
+/* Series value for a year, or undefined */
+function seriesAt(m, year) {
+  return m.series ? m.series[year] : undefined;
 }
 
-/* ══════════════════════════════════════════════════════════
-   4. GENERATE PAGE — Build & inject all narrative content
-══════════════════════════════════════════════════════════ */
+/* Copy of the profile with `value` / `prior` (or `ref`) read from
+   each metric's series at the reporting year */
+function resolveSeries(profile) {
+  const year = profile.reportingYear;
+  const resolve = m => {
+    if (!m.series || seriesAt(m, year) == null) return m;
+    const out = Object.assign({}, m, { value: seriesAt(m, year) });
+    delete out.prior;
+    delete out.ref;
 
-function initGeneratePage() {
-  // Read topic from sessionStorage; default to climate if missing
-  const topic = sessionStorage.getItem('esg_topic') || 'climate';
-  const data  = DATA_PROFILES[topic];
-  if (!data) return;
+    if (m.compare === 'baseline' && seriesAt(m, m.baselineYear) != null) {
+      out.ref = { year: m.baselineYear, value: seriesAt(m, m.baselineYear) };
+    } else if (seriesAt(m, year - 1) != null) {
+      out.prior = seriesAt(m, year - 1);
+    }
+    return out;
+  };
 
-  const today = getReportDate();
+  return Object.assign({}, profile, {
+    keyMetrics:        (profile.keyMetrics || []).map(resolve),
+    supportingMetrics: (profile.supportingMetrics || []).map(resolve),
+  });
+}
 
-  /* ── 4a. Update <head> title ── */
-  document.title = `${data.topic} — ESG Narrative Intelligence`;
+/* Sorted [year, value] pairs of a metric's series */
+function seriesPoints(m) {
+  return Object.keys(m.series || {})
+    .map(y => [Number(y), m.series[y]])
+    .filter(([y, v]) => Number.isFinite(y) && Number.isFinite(v))
+    .sort((a, b) => a[0] - b[0]);
+}
 
-  /* ── 4b. Topic badge in topbar ── */
-  const topicBadge = document.getElementById('topicBadge');
-  if (topicBadge) {
-    topicBadge.textContent = `${data.icon} ${data.topic}`;
-    topicBadge.className = `gen-topic-badge ${data.colorClass}`;
-  }
+/* Year-by-year sum of metrics' series, over the years all of them cover */
+function sumSeries(...metrics) {
+  const out = {};
+  seriesPoints(metrics[0]).forEach(([y]) => {
+    const values = metrics.map(m => (m.series || {})[y]);
+    if (values.every(Number.isFinite)) out[y] = values.reduce((a, b) => a + b, 0);
+  });
+  return out;
+}
 
-  /* ── 4c. Report date ── */
-  const reportDate = document.getElementById('reportDate');
-  if (reportDate) reportDate.textContent = today;
+/* Whether the latest year-on-year move is a fall, and the steepest in the series */
+function isSteepestFall(m) {
+  const values = seriesPoints(m).map(p => p[1]);
+  if (values.length < 3) return false;
+  const moves = values.slice(1).map((v, i) => v - values[i]);
+  const latest = moves[moves.length - 1];
+  return latest < 0 && latest === Math.min(...moves);
+}
 
-  /* ── 4d. Report header class (color strip) ── */
-  const reportHeader = document.getElementById('reportHeader');
-  if (reportHeader) {
-    reportHeader.className = `report-header ${data.colorClass}`;
-    document.getElementById('reportTypeTag').className = `report-type-tag ${data.colorClass}`;
-    document.getElementById('reportTypeTag').textContent = `${data.icon}  ${data.topic} Narrative`;
-  }
+/**
+ * Compare a series with its target path — a straight line from the
+ * baseline (or first) year to the target. On track means the
+ * latest value is on the right side of that line.
+ * @returns {Object|null} { start: [y, v], end: [y, v], label, pathValue, latest: [y, v], onTrack }
+ */
+function assessTrajectory(m) {
+  const points = seriesPoints(m);
+  if (!m.target || points.length < 2) return null;
 
-  /* ── 4e. Report title & subtitle ── */
-  const titles = {
-    climate:    {
-      title:    'Climate Performance & Decarbonisation Progress: FY2024 Strategic Disclosure',
-      subtitle: 'Science-based analysis of greenhouse gas trajectories, net-zero alignment, and carbon-related financial exposure across the enterprise value chain.',
-    },
-    energy:     {
-      title:    'Energy Transition Intelligence: Renewable Integration & Efficiency Performance FY2024',
-      subtitle: 'IoT-informed assessment of energy consumption, renewable portfolio expansion, and intensity reduction against 2030 efficiency targets.',
-    },
-    operations: {
-      title:    'Operational ESG Intelligence: IoT-Enabled Sustainability Performance FY2024',
-      subtitle: 'Real-time sensor data synthesis across water stewardship, circular economy, workforce safety, and operational integrity metrics.',
-    },
-  };
+  const start = points.find(([y]) => y === m.baselineYear) || points[0];
+  const goal = m.target.value != null ? m.target.value : start[1] * (1 - m.target.reduction / 100);
+  const end = [m.target.year, goal];
+  const latest = points[points.length - 1];
 
-  const t = titles[topic];
-  document.getElementById('reportTitle').textContent    = t.title;
-  document.getElementById('reportSubtitle').textContent = t.subtitle;
+  const span = end[0] - start[0];
+  const t = span ? Math.min(1, Math.max(0, (latest[0] - start[0]) / span)) : 1;
+  const pathValue = start[1] + (end[1] - start[1]) * t;
+  const reducing = end[1] < start[1];
 
-  /* ── 4f. ESG Data Cards ── */
-  const dataGrid = document.getElementById('dataCardsGrid');
-  if (dataGrid) {
-    dataGrid.innerHTML = data.keyMetrics.map(m => `
-      <div class="esg-data-card ${m.pillar.toLowerCase()}">
-        <div class="dc-pillar">● ${m.pillar === 'E' ? 'Environmental' : m.pillar === 'S' ? 'Social' : 'Governance'}</div>
-        <div class="dc-value">${m.value}<span style="font-size:14px;font-family:'Source Serif 4',serif;font-weight:300;">${m.unit}</span></div>
-        <div class="dc-label">${m.label}</div>
-        <div class="dc-change ${m.dir}">${m.dir === 'up' ? '▲' : m.dir === 'down' ? '▼' : '—'} ${m.change}</div>
-      </div>
-    `).join('');
-  }
+  return {
+    start, end, latest, pathValue,
+    label:   m.target.label || `${formatQuantity(goal, m.unit, 'text')} by ${m.target.year}`,
+    onTrack: reducing ? latest[1] <= pathValue : latest[1] >= pathValue,
+  };
+}
 
-  /* ── 4g. Narrative paragraphs ── */
-  const narrativeBody = document.getElementById('narrativeBody');
-  if (narrativeBody) {
-    // Insert pull quote after second paragraph
-    const paras = data.paragraphs;
-    let html = '';
-    paras.forEach((p, i) => {
-      html += `<p>${p}</p>`;
-      if (i === 1) {
-        html += `
-          <div class="pull-quote ${data.colorClass}">
-            <p>"${data.pullQuote}"</p>
-          </div>
-        `;
-      }
-    });
-    narrativeBody.innerHTML = html;
-  }
+/* Build the id → resolved-metric lookup a template renders against */
+function buildMetricContext(profile, template) {
+  const ctx = {};
+  (profile.keyMetrics || []).concat(profile.supportingMetrics || []).forEach(m => {
+    if (m.id) ctx[m.id] = resolveMetric(m);
+  });
 
-  /* ── 4h. Framework tags ── */
-  const fwContainer = document.getElementById('frameworkTags');
-  if (fwContainer) {
-    fwContainer.innerHTML = data.frameworks.map(f => `<span class="fw-tag">${f}</span>`).join('');
-  }
+  const derived = (template && template.derived) || {};
+  Object.keys(derived).forEach(id => {
+    const d = derived[id];
+    try {
+      const m = { id, label: d.label, unit: d.unit, value: d.value(ctx), derived: true };
+      // Source metrics without a prior or history give NaN / an empty series
+      const prior = d.prior ? d.prior(ctx) : null;
+      const series = d.series ? d.series(ctx) : null;
+      if (Number.isFinite(prior)) m.prior = prior;
+      if (series && Object.keys(series).length) m.series = series;
+      if (Number.isFinite(m.value)) ctx[id] = resolveMetric(m);
+    } catch (e) {
+      // A source metric is missing — leave the derived value undefined
+    }
+  });
+  return ctx;
+}
 
-  /* ── 4i. Integrity bar animation ── */
-  const integrityFill  = document.getElementById('integrityFill');
-  const integrityLabel = document.getElementById('integrityLabel');
-  if (integrityFill && integrityLabel) {
-    integrityLabel.textContent = `Narrative Integrity: ${data.integrity}%`;
-    // Trigger animation after paint
-    requestAnimationFrame(() => {
-      setTimeout(() => {
-        integrityFill.style.width = `${data.integrity}%`;
-      }, 300);
-    });
-  }
+/**
+ * Replace every {{placeholder}} in a template string.
+ * Unknown ids, and comparison fields of metrics without a comparison,
+ * are collected in `missing` and rendered as [?id] / [?id.field].
+ */
+function renderTemplate(str, ctx, profile, missing) {
+  const year = profile.reportingYear || new Date().getFullYear();
 
-  /* ── 4j. Audience line ── */
-  const audience = document.getElementById('audienceLabel');
-  if (audience) audience.textContent = data.audience;
+  return str.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (whole, inner) => {
+    if (inner === 'fy')      return `FY${year}`;
+    if (inner === 'fyPrior') return `FY${year - 1}`;
+    if (inner === 'topic')   return profile.topic;
+    if (inner === 'frameworks') return (profile.frameworks || []).join(', ');
+    if (inner === 'scope')   return profile.scope ? profile.scope.phrase : 'all sites';
 
-  /* ── 4k. Sidebar — trend scores (same for all topics but adapted) ── */
-  const trendContainer = document.getElementById('trendContainer');
-  if (trendContainer) {
-    const trends = {
-      climate:    [
-        { name: 'CBAM & Carbon Pricing', score: '97' },
-        { name: 'Net-Zero Corporate Commitments', score: '94' },
-        { name: 'ISSB S2 Global Adoption', score: '88' },
-        { name: 'Scope 3 Value Chain Pressure', score: '83' },
-      ],
-      energy:     [
-        { name: 'RE100 Corporate Renewables', score: '91' },
-        { name: 'Energy Efficiency Mandates', score: '86' },
-        { name: 'Grid Flexibility & Storage', score: '79' },
-        { name: 'Green Power Procurement', score: '74' },
-      ],
-      operations: [
-        { name: 'Circular Economy Regulation', score: '88' },
-        { name: 'Water Stewardship (SBTN)', score: '82' },
-        { name: 'IoT & ESG Data Quality', score: '78' },
-        { name: 'UN SDG 12 Supply Chains', score: '73' },
-      ],
+    // {{id.field:choice|choice|choice}} or {{id.field|filter}}
+    const colon = inner.indexOf(':');
+    const head = colon === -1 ? inner.split('|')[0] : inner.slice(0, colon);
+    const rest = colon === -1 ? inner.split('|').slice(1) : inner.slice(colon + 1).split('|');
+    const [id, field = 'value'] = head.split('.');
+    const m = ctx[id];
+    const unknown = key => {
+      if (missing) missing.push(key);
+      return `[?${key}]`;
     };
-    trendContainer.innerHTML = trends[topic].map(tr => `
-      <div class="trend-row">
-        <span class="trend-name-small">${tr.name}</span>
-        <span class="trend-score">${tr.score}</span>
-      </div>
-    `).join('');
-  }
 
-  /* ── 4l. Framework alignment sidebar ── */
-  const fwAlignContainer = document.getElementById('fwAlignContainer');
-  if (fwAlignContainer) {
-    const fwStatus = data.frameworks.map((f, i) => ({
-      name:   f,
-      status: i < 3 ? 'ready' : i === 3 ? 'partial' : 'pending',
-      label:  i < 3 ? '✓ Ready' : i === 3 ? '◑ Partial' : '○ Pending',
-    }));
-    fwAlignContainer.innerHTML = fwStatus.map(f => `
-      <div class="fw-align-row">
-        <span class="fw-name">${f.name}</span>
-        <span class="fw-status ${f.status}">${f.label}</span>
-      </div>
-    `).join('');
-  }
+    if (!m) return unknown(id);
 
-  /* ── 4m. Print / Export button ── */
-  const exportBtn = document.getElementById('exportBtn');
-  if (exportBtn) {
-    exportBtn.addEventListener('click', () => {
-      window.print();
-    });
-  }
+    switch (field) {
+      // Direction wording needs a comparison — "held" or "unchanged"
+      // without one would state something the data does not show
+      case 'dir': {
+        if (!m.compareLabel) return unknown(`${id}.dir`);
+        const idx = m.dir === 'down' ? 0 : m.dir === 'up' ? 1 : 2;
+        return rest[idx] != null ? rest[idx] : (rest[0] || m.dir);
+      }
+      case 'record': {
+        if (!m.compareLabel) return unknown(`${id}.record`);
+        const idx = m.dir === 'down' ? (isSteepestFall(m) ? 0 : 1) : m.dir === 'up' ? 2 : 3;
+        return rest[idx] != null ? rest[idx] : '';
+      }
+      case 'prior':
+        return m.prior != null ? formatQuantity(m.prior, m.unit, 'text', decimalsOf(m.value)) : unknown(`${id}.prior`);
+      case 'change':
+        return m.changeAbs || unknown(`${id}.change`);
+      case 'delta':
+        return m.changeSigned || unknown(`${id}.delta`);
+      case 'refYear':
+        return m.refYear != null ? String(m.refYear) : unknown(`${id}.refYear`);
+      default: {
+        const filter = rest[0] || '';
+        if (filter === 'num') return formatNumber(m.value, m.unit);
+        return formatQuantity(m.value, m.unit, filter === 'long' ? 'long' : 'text');
+      }
+    }
+  });
+}
+
+/* Generic per-pillar template for profiles without a theme template
+   (e.g. imported data whose metric ids the theme prose does not use) */
+function buildGenericTemplate(profile) {
+  const pillarNames = { E: 'Environmental', S: 'Social', G: 'Governance' };
+  return {
+    derived: {},
+    pullQuote: null,
+    paragraphs: ['E', 'S', 'G']
+      .map(p => (profile.keyMetrics || []).filter(m => m.pillar === p && m.id))
+      .filter(group => group.length)
+      .map(group => {
+        const facts = group.map(m => {
+          if (m.prior == null && !m.ref) return `${m.label} stood at <strong>{{${m.id}}}</strong>`;
+          const comp = m.prior != null ? 'YoY' : `vs {{${m.id}.refYear}}`;
+          return `${m.label} {{${m.id}.dir:fell to|rose to|held at}} <strong>{{${m.id}}}</strong> ({{${m.id}.delta}} ${comp})`;
+        });
+        return `${pillarNames[group[0].pillar]} performance for {{fy}}: ${facts.join('; ')}.`;
+      }),
+  };
+}
+
+/**
+ * Assemble data + templates into the structured narrative for
+ * one audience (a key of AUDIENCE_VARIANTS). Falls back to the generic template when the theme template
+ * references metrics the profile does not contain.
+ * @returns {{ metrics: Array, paragraphs: string[], pullQuote: string|null }}
+ */
+function generateNarrative(topic, profile, audience) {
+  const variant = AUDIENCE_VARIANTS[audience] || AUDIENCE_VARIANTS.standard;
+  let template = THEMES[topic];
+  let ctx = buildMetricContext(profile, template);
+  let missing = [];
+
+  // Paragraph templates for this audience, with the variant preamble
+  const select = t => {
+    const own = t.variants && t.variants[audience];
+    const paras = own || (variant.fallback ? variant.fallback(t.paragraphs) : t.paragraphs);
+    return (variant.preamble ? [variant.preamble] : []).concat(paras);
+  };
+
+  const fill = t => ({
+    paragraphs: select(t).map(p => renderTemplate(p, ctx, profile, missing)),
+    pullQuote:  t.pullQuote && variant.pullQuote ? renderTemplate(t.pullQuote, ctx, profile, missing) : null,
+  });
+
+  let text = template ? fill(template) : null;
+  if (!text || missing.length) {
+    template = buildGenericTemplate(profile);
+    ctx = buildMetricContext(profile, template);
+    missing = [];
+    text = fill(template);
+    // The theme's pull quote is generic enough to keep when it has no figures
+    const themeQuote = THEMES[topic] && THEMES[topic].pullQuote;
+    if (themeQuote && variant.pullQuote && !/\{\{/.test(themeQuote)) text.pullQuote = themeQuote;
+  }
+
+  const metrics = (profile.keyMetrics || []).map(m => {
+    const r = ctx[m.id] || resolveMetric(m);
+    const def = UNITS[r.unit] || {};
+    const num = formatNumber(r.value, r.unit);
+    return {
+      id:     r.id,
+      pillar: r.pillar,
+      label:  r.label,
+      value:  `${def.prefix || ''}${num}${def.tight ? def.suffix : ''}`,
+      unit:   def.tight ? '' : (def.suffix || ''),
+      change: r.changeSigned ? `${r.changeSigned} ${r.compareLabel}` : (r.note ? renderTemplate(r.note, ctx, profile) : '—'),
+      dir:    r.dir,
+    };
+  });
+
+  return { metrics, paragraphs: text.paragraphs, pullQuote: text.pullQuote, missing, context: ctx };
+}
+
+/* ══════════════════════════════════════════════════════════
+   1d. INTEGRITY SCORING — scoreIntegrity()
+   The Narrative Integrity score is a weighted sum of data
+   quality checks. Each check scores 0–1 and reports why, so
+   the sidebar can show what pulled a report below 100%.
+══════════════════════════════════════════════════════════ */
+
+/* Regulatory / standard references whose digits are not data */
+const REFERENCE_PATTERN = /\b(?:ISO|ISAE|GRI|SDG|Article|Scopes?|Categor(?:y|ies)|ESRS|IFRS)\s\d+(?:\s(?:and|&)\s\d+)?/g;
+
+/* Months after the data date before recency starts to decay,
+   and the age at which it no longer scores at all */
+const RECENCY_FULL_MONTHS = 15;
+const RECENCY_ZERO_MONTHS = 36;
+
+const INTEGRITY_CHECKS = [
+  { id: 'trace',     weight: 35, label: 'Every number in the narrative traces to a metric' },
+  { id: 'units',     weight: 15, label: 'Units are recognised and values within range' },
+  { id: 'baseline',  weight: 20, label: 'Key metrics carry a YoY or baseline comparison' },
+  { id: 'assurance', weight: 15, label: 'Third-party assurance coverage' },
+  { id: 'recency',   weight: 15, label: 'Data is recent' },
+];
+
+/* Every number string a metric can legitimately appear as */
+function traceableNumbers(ctx, profile) {
+  const set = new Set();
+  const add = v => { if (v != null && v !== '') set.add(String(v).replace(/,/g, '')); };
+  const year = profile.reportingYear || new Date().getFullYear();
+  add(year); add(year - 1);
+  // The number of sites the {{scope}} phrase names
+  if (profile.scope) add(profile.scope.sites.length);
+
+  Object.values(ctx).forEach(m => {
+    add(formatNumber(m.value, m.unit));
+    if (m.prior != null) add(formatNumber(m.prior, m.unit, decimalsOf(m.value)));
+    if (m.changeAbs) add(m.changeAbs.replace(/[^\d.]/g, ''));
+    if (m.refYear != null) add(m.refYear);
+  });
+  return set;
+}
+
+/* Figures in plain text with their offsets. References such as
+   "GRI 305" or "Scope 1" are identifiers, not figures. */
+function figuresIn(text) {
+  const masked = text.replace(REFERENCE_PATTERN, ref => ' '.repeat(ref.length));
+  const figures = [];
+  // Digits glued to letters (RE100, Q3, FY2024's prefix) are identifiers
+  const re = /(?<![A-Za-z\d.,])\d[\d,]*(?:\.\d+)?/g;
+  let m;
+  while ((m = re.exec(masked))) {
+    const figure = m[0].replace(/,$/, '');
+    figures.push({ text: figure, value: figure.replace(/,/g, ''), index: m.index });
+  }
+  return figures;
+}
+
+/* Numbers in the rendered narrative that no metric accounts for */
+function untracedNumbers(narrative, profile) {
+  const text = narrative.paragraphs.concat(narrative.pullQuote || [])
+    .join(' ')
+    .replace(/<[^>]+>/g, ' ');
+
+  const allowed = traceableNumbers(narrative.context, profile);
+  const numbers = figuresIn(text);
+  return {
+    total:    numbers.length,
+    untraced: numbers.filter(n => !allowed.has(n.value)).map(n => n.text),
+  };
+}
+
+/* The trace check on its own — also re-run on hand-edited prose */
+function traceCheck(narrative, profile) {
+  const { total, untraced } = untracedNumbers(narrative, profile);
+  return {
+    score:  total ? (total - untraced.length) / total : 1,
+    detail: untraced.length
+      ? `${untraced.length} of ${total} figures untraced: ${untraced.slice(0, 4).join(', ')}${untraced.length > 4 ? '…' : ''}`
+      : `${total} of ${total} figures traced`,
+  };
+}
+
+/* Weight per-check results ({ id: { score, detail } }) into the total */
+function tallyChecks(results) {
+  const checks = INTEGRITY_CHECKS.map(c => Object.assign({}, c, results[c.id], {
+    passed: results[c.id].score >= 0.95,
+  }));
+  const score = Math.round(checks.reduce((sum, c) => sum + c.weight * c.score, 0));
+  return { score, checks };
+}
+
+/* Whole months between a YYYY-MM-DD date and now */
+function monthsSince(dateStr, now) {
+  const d = new Date(dateStr);
+  if (isNaN(d)) return null;
+  return (now.getFullYear() - d.getFullYear()) * 12 + (now.getMonth() - d.getMonth());
+}
+
+/**
+ * Run the integrity checks against a generated narrative.
+ * @returns {{ score: number, checks: Array<{ id, label, weight, score, passed, detail }> }}
+ */
+function scoreIntegrity(profile, narrative, now) {
+  now = now || new Date();
+  const metrics = profile.keyMetrics || [];
+  const all = metrics.concat(profile.supportingMetrics || []);
+  const results = {};
+
+  /* Numbers in the prose ↔ metric values */
+  results.trace = traceCheck(narrative, profile);
+
+  /* Unit recognised, integers where required, inside allowed range */
+  const badUnits = all.filter(m => {
+    const def = UNITS[m.unit];
+    if (!def || !Number.isFinite(m.value)) return true;
+    if (def.integer && !Number.isInteger(m.value)) return true;
+    if (def.range && (m.value < def.range[0] || m.value > def.range[1])) return true;
+    return m.prior != null && def.range && (m.prior < def.range[0] || m.prior > def.range[1]);
+  });
+  results.units = {
+    score:  all.length ? (all.length - badUnits.length) / all.length : 0,
+    detail: badUnits.length
+      ? `Check units of: ${badUnits.map(m => m.label).join(', ')}`
+      : `${all.length} metrics with consistent units`,
+  };
+
+  /* Target years are forward-looking, and totals first calculated from
+     activity data (section 1g) have no earlier year — neither can compare */
+  const comparable = metrics.filter(m => m.unit !== 'year' && !m.calculated);
+  const withBaseline = comparable.filter(m => m.prior != null || m.ref);
+  results.baseline = {
+    score:  comparable.length ? withBaseline.length / comparable.length : 0,
+    detail: `${withBaseline.length} of ${comparable.length} key metrics have a comparison period`,
+  };
+
+  /* Assurance: declared on the profile, else an `assurance` % metric */
+  const assurance = profile.assurance || (narrative.context.assurance ? { coverage: narrative.context.assurance.value } : null);
+  results.assurance = assurance
+    ? {
+        score:  Math.max(0, Math.min(1, assurance.coverage / 100)),
+        detail: `${assurance.coverage}% of data assured${assurance.level ? ` (${assurance.level}${assurance.standard ? `, ${assurance.standard}` : ''})` : ''}`,
+      }
+    : { score: 0, detail: 'No assurance statement provided' };
+
+  /* Recency of the data date, falling back to the end of the reporting year */
+  const asOf = profile.dataAsOf || (profile.reportingYear ? `${profile.reportingYear}-12-31` : null);
+  const age = asOf ? monthsSince(asOf, now) : null;
+  results.recency = age == null
+    ? { score: 0, detail: 'No data date provided' }
+    : {
+        score:  age <= RECENCY_FULL_MONTHS ? 1
+              : Math.max(0, 1 - (age - RECENCY_FULL_MONTHS) / (RECENCY_ZERO_MONTHS - RECENCY_FULL_MONTHS)),
+        detail: `Data as of ${asOf} (${age} month${age === 1 ? '' : 's'} old)`,
+      };
+
+  return tallyChecks(results);
+}
+
+/* ══════════════════════════════════════════════════════════
+   1e. FRAMEWORK REQUIREMENTS — assessFrameworks()
+   Data points each framework expects. A requirement is met
+   when the profile holds any of its `metrics`; `baseline`
+   requirements also need a prior-year or reference value.
+   Readiness is the share of requirements met.
+══════════════════════════════════════════════════════════ */
+
+const FRAMEWORK_REQUIREMENTS = {
+  'GRI 305': {
+    aliases: [],
+    requirements: [
+      { ref: '305-1', label: 'Direct (Scope 1) GHG emissions',                  metrics: ['scope1'] },
+      { ref: '305-2', label: 'Energy indirect (Scope 2) GHG emissions',         metrics: ['scope2', 'scope2Location'] },
+      { ref: '305-3', label: 'Other indirect (Scope 3) GHG emissions',          metrics: ['scope3'] },
+      { ref: '305-4', label: 'GHG emissions intensity',                         metrics: ['ghgIntensity', 'carbonIntensity'] },
+      { ref: '305-5', label: 'Reduction of GHG emissions against a base year',  metrics: ['scope1', 'scope2'], baseline: true },
+    ],
+  },
+  'GRI 302': {
+    aliases: [],
+    requirements: [
+      { ref: '302-1', label: 'Energy consumption within the organisation',      metrics: ['energyTotal'] },
+      { ref: '302-1', label: 'Renewable share of energy consumed',              metrics: ['renewableShare'] },
+      { ref: '302-2', label: 'Energy consumption outside the organisation',     metrics: ['energyOutside'] },
+      { ref: '302-3', label: 'Energy intensity',                                metrics: ['energyIntensity'] },
+      { ref: '302-4', label: 'Reduction of energy consumption',                 metrics: ['energyTotal'], baseline: true },
+    ],
+  },
+  'GRI 303': {
+    aliases: [],
+    requirements: [
+      { ref: '303-3', label: 'Water withdrawal',                                metrics: ['waterWithdrawal'] },
+      { ref: '303-3', label: 'Withdrawal change against prior period',          metrics: ['waterWithdrawal'], baseline: true },
+      { ref: '303-4', label: 'Water discharge',                                 metrics: ['waterDischarge'] },
+      { ref: '303-5', label: 'Water consumption',                               metrics: ['waterConsumption'] },
+      { ref: '303-1', label: 'Water recycled and reused',                       metrics: ['waterRecycled'] },
+    ],
+  },
+  'GRI 306': {
+    aliases: [],
+    requirements: [
+      { ref: '306-3', label: 'Waste generated',                                 metrics: ['wasteGenerated'] },
+      { ref: '306-3', label: 'Hazardous waste generated',                       metrics: ['hazardousWaste'] },
+      { ref: '306-4', label: 'Waste diverted from disposal',                    metrics: ['wasteDiversion'] },
+      { ref: '306-5', label: 'Waste directed to disposal',                      metrics: ['landfillShare'] },
+    ],
+  },
+  'TCFD': {
+    aliases: [],
+    requirements: [
+      { ref: 'M&T (b)',   label: 'Scope 1 GHG emissions',                       metrics: ['scope1'] },
+      { ref: 'M&T (b)',   label: 'Scope 2 GHG emissions',                       metrics: ['scope2', 'scope2Location'] },
+      { ref: 'M&T (b)',   label: 'Scope 3 GHG emissions, if appropriate',       metrics: ['scope3'] },
+      { ref: 'M&T (c)',   label: 'Climate-related targets',                     metrics: ['netZeroYear'] },
+      { ref: 'Strategy (b)', label: 'Transition risk financial exposure',       metrics: ['etsPrice', 'avoidedCarbonCost'] },
+      { ref: 'M&T (a)',   label: 'Capital deployed to climate opportunities',   metrics: ['greenCapex'] },
+    ],
+  },
+  'ISSB IFRS S2': {
+    aliases: ['ISSB S2', 'IFRS S2'],
+    requirements: [
+      { ref: '29(a)(i)',    label: 'Absolute Scope 1 GHG emissions',            metrics: ['scope1'] },
+      { ref: '29(a)(i)',    label: 'Location-based Scope 2 GHG emissions',      metrics: ['scope2Location'] },
+      { ref: '29(a)(i)',    label: 'Absolute Scope 3 GHG emissions',            metrics: ['scope3'] },
+      { ref: '29(e)',       label: 'Capital deployment towards climate opportunities', metrics: ['greenCapex'] },
+      { ref: '29(f)',       label: 'Internal or applied carbon price',          metrics: ['etsPrice', 'internalCarbonPrice'] },
+      { ref: '33',          label: 'Climate-related targets',                   metrics: ['netZeroYear'] },
+    ],
+  },
+  'ESRS E1': {
+    aliases: ['CSRD/ESRS E1', 'CSRD ESRS E1'],
+    requirements: [
+      { ref: 'E1-3',  label: 'Capital expenditure supporting the transition plan', metrics: ['greenCapex'] },
+      { ref: 'E1-4',  label: 'GHG emission reduction targets',                  metrics: ['netZeroYear'] },
+      { ref: 'E1-5',  label: 'Total energy consumption',                        metrics: ['energyTotal'] },
+      { ref: 'E1-5',  label: 'Energy mix — renewable share',                    metrics: ['renewableShare'] },
+      { ref: 'E1-6',  label: 'Gross Scope 1 GHG emissions',                     metrics: ['scope1'] },
+      { ref: 'E1-6',  label: 'Gross location-based Scope 2 GHG emissions',      metrics: ['scope2Location'] },
+      { ref: 'E1-6',  label: 'Gross market-based Scope 2 GHG emissions',        metrics: ['scope2'] },
+      { ref: 'E1-6',  label: 'Gross Scope 3 GHG emissions',                     metrics: ['scope3'] },
+      { ref: 'E1-6',  label: 'GHG intensity per net revenue',                   metrics: ['ghgIntensity'] },
+      { ref: 'E1-7',  label: 'GHG removals and carbon credits',                 metrics: ['carbonCredits'] },
+      { ref: 'E1-8',  label: 'Internal carbon pricing',                         metrics: ['etsPrice', 'internalCarbonPrice'] },
+    ],
+  },
+  'CDP': {
+    aliases: ['CDP Energy', 'CDP Climate'],
+    requirements: [
+      { ref: 'C4.1',  label: 'Emissions or energy targets',                     metrics: ['netZeroYear', 'renewableTarget', 'intensityTarget'] },
+      { ref: 'C6.1',  label: 'Gross global Scope 1 emissions',                  metrics: ['scope1'] },
+      { ref: 'C6.3',  label: 'Gross global Scope 2 emissions',                  metrics: ['scope2', 'scope2Location'] },
+      { ref: 'C6.5',  label: 'Scope 3 emissions by category',                   metrics: ['scope3'] },
+      { ref: 'C8.2a', label: 'Energy consumption totals',                       metrics: ['energyTotal'] },
+      { ref: 'C8.2',  label: 'Renewable energy share',                          metrics: ['renewableShare'] },
+      { ref: 'C10.1', label: 'Third-party verification status',                 metrics: ['assurance'] },
+    ],
+  },
+  'SASB': {
+    aliases: [],
+    requirements: [
+      { ref: '130a.1', label: 'Total energy consumed',                          metrics: ['energyTotal'] },
+      { ref: '130a.1', label: 'Percentage renewable',                           metrics: ['renewableShare'] },
+      { ref: '140a.1', label: 'Total water withdrawn',                          metrics: ['waterWithdrawal'] },
+      { ref: '150a.1', label: 'Hazardous waste generated',                      metrics: ['hazardousWaste'] },
+      { ref: '150a.1', label: 'Percentage of waste recycled',                   metrics: ['wasteDiversion'] },
+      { ref: '320a.1', label: 'Total recordable incident rate (TRIR)',          metrics: ['trir'] },
+    ],
+  },
+  'GRI 401': {
+    aliases: [],
+    requirements: [
+      { ref: '401-1', label: 'New employee hires',                              metrics: ['newHires'] },
+      { ref: '401-1', label: 'Employee turnover',                               metrics: ['turnover'] },
+      { ref: '401-3', label: 'Return to work after parental leave',             metrics: ['parentalReturn'] },
+    ],
+  },
+  'GRI 403': {
+    aliases: [],
+    requirements: [
+      { ref: '403-8', label: 'Workers covered by an OH&S management system',    metrics: ['ohsCoverage'] },
+      { ref: '403-9', label: 'Recordable work-related injuries',                metrics: ['ltifr', 'trir'] },
+      { ref: '403-9', label: 'Fatalities as a result of work-related injury',   metrics: ['fatalities'] },
+      { ref: '403-9', label: 'Injury rate change against prior period',         metrics: ['ltifr', 'trir'], baseline: true },
+    ],
+  },
+  'GRI 405': {
+    aliases: [],
+    requirements: [
+      { ref: '405-1', label: 'Diversity of governance bodies',                  metrics: ['boardWomen'] },
+      { ref: '405-1', label: 'Diversity of employees by category',              metrics: ['womenManagement'] },
+      { ref: '405-2', label: 'Ratio of remuneration of women to men',           metrics: ['genderPayGap'] },
+    ],
+  },
+  'ESRS S1': {
+    aliases: ['CSRD/ESRS S1', 'CSRD ESRS S1'],
+    requirements: [
+      { ref: 'S1-6',  label: 'Characteristics of employees — headcount',        metrics: ['headcount'] },
+      { ref: 'S1-6',  label: 'Employee turnover',                               metrics: ['turnover'] },
+      { ref: 'S1-8',  label: 'Collective bargaining coverage',                  metrics: ['bargainingCoverage'] },
+      { ref: 'S1-9',  label: 'Gender distribution at top management',           metrics: ['womenManagement'] },
+      { ref: 'S1-10', label: 'Adequate wages',                                  metrics: ['livingWageShare'] },
+      { ref: 'S1-13', label: 'Training and skills development',                 metrics: ['trainingHours'] },
+      { ref: 'S1-14', label: 'Health and safety — recordable accidents',        metrics: ['ltifr', 'trir'] },
+      { ref: 'S1-14', label: 'Health and safety — fatalities',                  metrics: ['fatalities'] },
+      { ref: 'S1-16', label: 'Gender pay gap',                                  metrics: ['genderPayGap'] },
+    ],
+  },
+  'GRI 2': {
+    aliases: ['GRI 2: General Disclosures'],
+    requirements: [
+      { ref: '2-9',   label: 'Governance structure and composition',            metrics: ['boardIndependence', 'boardWomen'] },
+      { ref: '2-19',  label: 'Remuneration policies — ESG-linked pay',          metrics: ['esgLinkedPay'] },
+      { ref: '2-25',  label: 'Processes to remediate negative impacts',         metrics: ['grievancesRemediated', 'correctiveClosed'] },
+      { ref: '2-26',  label: 'Mechanisms for seeking advice and raising concerns', metrics: ['speakUpReports', 'grievances'] },
+      { ref: '2-27',  label: 'Compliance with laws and regulations',            metrics: ['finesPaid'] },
+    ],
+  },
+  'ESRS G1': {
+    aliases: ['CSRD/ESRS G1', 'CSRD ESRS G1'],
+    requirements: [
+      { ref: 'G1-1',  label: 'Whistleblower reports received',                  metrics: ['speakUpReports'] },
+      { ref: 'G1-3',  label: 'Anti-corruption training coverage',               metrics: ['antiCorruptionTraining'] },
+      { ref: 'G1-4',  label: 'Confirmed incidents of corruption or bribery',    metrics: ['corruptionIncidents'] },
+      { ref: 'G1-4',  label: 'Fines for corruption or bribery',                 metrics: ['finesPaid'] },
+      { ref: 'G1-5',  label: 'Political contributions',                         metrics: ['politicalContributions'] },
+      { ref: 'G1-6',  label: 'Average time to pay invoices',                    metrics: ['paymentDays'] },
+    ],
+  },
+  'GRI 205': {
+    aliases: [],
+    requirements: [
+      { ref: '205-2', label: 'Anti-corruption communication and training',     metrics: ['antiCorruptionTraining'] },
+      { ref: '205-3', label: 'Confirmed incidents of corruption',               metrics: ['corruptionIncidents'] },
+      { ref: '205-3', label: 'Incidents change against prior period',           metrics: ['corruptionIncidents'], baseline: true },
+    ],
+  },
+  'TNFD': {
+    aliases: [],
+    requirements: [
+      { ref: 'Strategy (d)', label: 'Locations in sensitive areas',             metrics: ['sitesNearKba'] },
+      { ref: 'C1.0',  label: 'Total spatial footprint',                         metrics: ['landFootprint'] },
+      { ref: 'C1.1',  label: 'Extent of land restored',                         metrics: ['landRestored'] },
+      { ref: 'C3.0',  label: 'Water withdrawal in water-stressed areas',        metrics: ['waterStressSites', 'waterWithdrawal'] },
+      { ref: 'C3.1',  label: 'High-risk commodities sourced',                   metrics: ['highRiskCommodities'] },
+      { ref: 'C3.1',  label: 'Share of commodities verified conversion-free',   metrics: ['deforestationFree'] },
+    ],
+  },
+  'ESRS E4': {
+    aliases: ['CSRD/ESRS E4', 'CSRD ESRS E4'],
+    requirements: [
+      { ref: 'E4-3',  label: 'Biodiversity actions and resources',              metrics: ['biodiversityPlans'] },
+      { ref: 'E4-4',  label: 'Biodiversity and ecosystem targets',              metrics: ['restorationTarget'] },
+      { ref: 'E4-5',  label: 'Sites in or near biodiversity-sensitive areas',   metrics: ['sitesNearKba'] },
+      { ref: 'E4-5',  label: 'Land-use change and land footprint',              metrics: ['landFootprint'] },
+      { ref: 'E4-5',  label: 'Sealed area',                                     metrics: ['sealedArea'] },
+      { ref: 'E4-5',  label: 'Land footprint change against prior period',      metrics: ['landFootprint'], baseline: true },
+    ],
+  },
+  'CSDDD': {
+    aliases: ['EU CSDDD'],
+    requirements: [
+      { ref: 'Art. 7',  label: 'Due diligence policy and code of conduct',      metrics: ['codeCoverage'] },
+      { ref: 'Art. 8',  label: 'Identification of adverse impacts',             metrics: ['suppliersScreened', 'highRiskSuppliers'] },
+      { ref: 'Art. 10', label: 'Prevention and corrective action plans',        metrics: ['correctiveClosed'] },
+      { ref: 'Art. 11', label: 'Suspension or termination as a last resort',    metrics: ['suppliersExited'] },
+      { ref: 'Art. 14', label: 'Notification and complaints procedure',         metrics: ['grievances'] },
+      { ref: 'Art. 15', label: 'Monitoring of effectiveness',                   metrics: ['supplierAudits'] },
+    ],
+  },
+  'GRI 414': {
+    aliases: [],
+    requirements: [
+      { ref: '414-1', label: 'New suppliers screened using social criteria',    metrics: ['suppliersScreened'] },
+      { ref: '414-2', label: 'Suppliers with significant negative impacts',     metrics: ['highRiskSuppliers'] },
+      { ref: '414-2', label: 'Improvements agreed with suppliers',              metrics: ['correctiveClosed'] },
+      { ref: '414-2', label: 'Relationships terminated after assessment',       metrics: ['suppliersExited'] },
+    ],
+  },
+  'ESRS S2': {
+    aliases: ['CSRD/ESRS S2', 'CSRD ESRS S2'],
+    requirements: [
+      { ref: 'S2-3',  label: 'Channels for value chain workers to raise concerns', metrics: ['grievances'] },
+      { ref: 'S2-4',  label: 'Actions on material impacts and their effectiveness', metrics: ['correctiveClosed', 'supplierAudits'] },
+      { ref: 'S2-5',  label: 'Targets for managing material impacts',          metrics: ['screeningTarget'] },
+    ],
+  },
+};
+
+/* Catalogue key for a profile's framework label, or null */
+function resolveFramework(name) {
+  const n = String(name).trim().toLowerCase();
+  return Object.keys(FRAMEWORK_REQUIREMENTS).find(key =>
+    key.toLowerCase() === n || FRAMEWORK_REQUIREMENTS[key].aliases.some(a => a.toLowerCase() === n)
+  ) || null;
+}
+
+/**
+ * Readiness of each of the profile's frameworks against the catalogue.
+ * @param {Object} profile
+ * @param {Object} ctx — resolved metric context from generateNarrative()
+ * @returns {Array<{ name, key, status, label, met, total, missing }>}
+ */
+function assessFrameworks(profile, ctx) {
+  return (profile.frameworks || []).map(name => {
+    const key = resolveFramework(name);
+    if (!key) {
+      return { name, key: null, status: 'pending', label: '○ Not catalogued', met: 0, total: 0, missing: [] };
+    }
+
+    const reqs = FRAMEWORK_REQUIREMENTS[key].requirements;
+    const missing = reqs.filter(r => !r.metrics.some(id => {
+      const m = ctx[id];
+      return m && (!r.baseline || m.prior != null || m.ref);
+    }));
+    const met = reqs.length - missing.length;
+    const status = !missing.length ? 'ready' : met ? 'partial' : 'pending';
+    const glyph = { ready: '✓ Ready', partial: '◑ Partial', pending: '○ Pending' }[status];
+
+    return { name, key, status, label: `${glyph} ${met}/${reqs.length}`, met, total: reqs.length, missing };
+  });
+}
+
+/* ══════════════════════════════════════════════════════════
+   1f. REPORT MODEL — buildReport()
+   Everything the generate page renders, in one object. The
+   page (section 4) and the exporters (section 6) both read
+   from it, so an export always matches what is on screen.
+══════════════════════════════════════════════════════════ */
+
+/* A data profile with its theme's name, icon, colour and frameworks
+   filled in. Imported profiles keep the frameworks they declare. */
+function themeProfile(topic, profile) {
+  const theme = THEMES[topic];
+  if (!theme) return profile;
+  return Object.assign({ topic: theme.name, icon: theme.icon, colorClass: theme.colorClass, frameworks: theme.frameworks }, profile);
+}
+
+/**
+ * Build the full report for a topic from its profile.
+ * @param {Object} [options] — { audience: key of AUDIENCE_VARIANTS,
+ *   scope: site scope key (section 1h) }
+ * @returns {{ topic, audienceKey, theme, title, subtitle, date, generatedAt, audience,
+ *             reportingYear, scope, narrative, frameworks, integrity, claims, emissions, breakdown }}
+ */
+function buildReport(topic, profile, options) {
+  options = options || {};
+  const audienceKey = AUDIENCE_VARIANTS[options.audience] ? options.audience : 'standard';
+  const variant = AUDIENCE_VARIANTS[audienceKey];
+  profile = resolveSeries(applySites(applyEmissions(themeProfile(topic, profile)), options.scope));
+  const narrative = generateNarrative(topic, profile, audienceKey);
+
+  // Theme-specific wording for this audience, else the variant's rewrite
+  const base = THEMES[topic] || { title: `${profile.topic}: {{fy}} Disclosure`, subtitle: '' };
+  const own = (base.titles || {})[audienceKey];
+  const t = own || {
+    title:    variant.title ? variant.title(base.title) : base.title,
+    subtitle: variant.subtitle || base.subtitle,
+  };
+
+  const scope = profile.scope;
+  const part = scope && scope.kind !== 'group';
+
+  return {
+    topic,
+    audienceKey,
+    theme:         { name: profile.topic, icon: profile.icon, colorClass: profile.colorClass },
+    title:         renderTemplate(t.title, narrative.context, profile) + (part ? ` — ${htmlToText(scope.label)}` : ''),
+    subtitle:      renderTemplate(t.subtitle, narrative.context, profile),
+    date:          getReportDate(),
+    generatedAt:   new Date().toISOString(),
+    audience:      variant.line || profile.audience,
+    reportingYear: profile.reportingYear,
+    scope:         scope ? { key: scope.key, kind: scope.kind, label: scope.label, sites: scope.sites } : null,
+    narrative,
+    frameworks:    assessFrameworks(profile, narrative.context),
+    integrity:     scoreIntegrity(profile, narrative),
+    claims:        lintNarrative(narrative, profile),
+    emissions:     profile.emissions || null,
+    breakdown:     siteBreakdown(profile),
+  };
+}
+
+/* ══════════════════════════════════════════════════════════
+   1g. EMISSIONS CALCULATOR — calculateEmissions()
+   Activity data × a bundled, versioned emission-factor table:
+     fuels        litres / m³ burned on site     → Scope 1
+     electricity  kWh per grid region            → Scope 2, both bases
+     spend        € by purchasing sector         → Scope 3 (Cat. 1)
+     freight      tonne-km by transport mode     → Scope 3 (Cat. 4)
+   Market-based Scope 2 counts kWh covered by contractual
+   instruments (GOs, PPAs) at zero and the rest at the region's
+   residual mix. Factor values are representative of the cited
+   datasets for demonstration; bump `version` when any changes.
+══════════════════════════════════════════════════════════ */
+
+const EMISSION_FACTORS = {
+  version: '2024.1',
+  sources: {
+    desnz: 'UK DESNZ GHG Conversion Factors 2024',
+    iea:   'IEA Emissions Factors 2024 (location-based grid)',
+    aib:   'AIB European Residual Mixes 2023',
+    exio:  'EXIOBASE 3.8 EEIO, EUR 2022 prices',
+    glec:  'GLEC Framework v3.0',
+  },
+  // kgCO₂e per unit
+  fuels: {
+    naturalGas: { label: 'Natural gas',             unit: 'm³', kgCO2e: 2.045, source: 'desnz' },
+    diesel:     { label: 'Diesel (average blend)',  unit: 'L',  kgCO2e: 2.513, source: 'desnz' },
+    petrol:     { label: 'Petrol (average blend)',  unit: 'L',  kgCO2e: 2.084, source: 'desnz' },
+    lpg:        { label: 'LPG',                     unit: 'L',  kgCO2e: 1.557, source: 'desnz' },
+    heatingOil: { label: 'Burning oil',             unit: 'L',  kgCO2e: 2.540, source: 'desnz' },
+  },
+  // kgCO₂e per kWh: location = grid average, residual = market-based
+  grid: {
+    DE: { label: 'Germany',     location: 0.381, residual: 0.698 },
+    NL: { label: 'Netherlands', location: 0.328, residual: 0.523 },
+    PL: { label: 'Poland',      location: 0.662, residual: 0.760 },
+    ES: { label: 'Spain',       location: 0.146, residual: 0.290 },
+    FR: { label: 'France',      location: 0.052, residual: 0.058 },
+    IT: { label: 'Italy',       location: 0.257, residual: 0.457 },
+  },
+  // kgCO₂e per € spent
+  spend: {
+    basicMetals: { label: 'Basic metals',                  kgCO2e: 1.12, source: 'exio' },
+    chemicals:   { label: 'Chemicals',                     kgCO2e: 0.74, source: 'exio' },
+    plastics:    { label: 'Rubber & plastics',             kgCO2e: 0.61, source: 'exio' },
+    electronics: { label: 'Electronic components',         kgCO2e: 0.29, source: 'exio' },
+    machinery:   { label: 'Machinery & equipment',         kgCO2e: 0.38, source: 'exio' },
+    services:    { label: 'Professional services',         kgCO2e: 0.09, source: 'exio' },
+  },
+  // kgCO₂e per tonne-km
+  freight: {
+    road: { label: 'Road (HGV, average laden)',  kgCO2e: 0.107, source: 'glec' },
+    rail: { label: 'Rail freight',               kgCO2e: 0.028, source: 'glec' },
+    sea:  { label: 'Sea (container ship)',       kgCO2e: 0.016, source: 'glec' },
+    air:  { label: 'Air freight (long haul)',    kgCO2e: 1.128, source: 'glec' },
+  },
+};
+
+/* GHG Protocol Scope 3 categories the calculator can fill */
+const SCOPE3_CATEGORIES = {
+  1: 'Purchased goods & services',
+  2: 'Capital goods',
+  4: 'Upstream transportation',
+  9: 'Downstream transportation',
+};
+
+/* Labels for calculated totals a profile doesn't already list */
+const EMISSION_METRIC_LABELS = {
+  scope1:         'Total Scope 1 Emissions',
+  scope2:         'Scope 2 (market-based)',
+  scope2Location: 'Scope 2 (location-based)',
+  scope3:         'Scope 3 (calculated categories)',
+};
+
+/**
+ * Apply the factor table to one year of activity data.
+ * Each activity line may set `category` to move spend to Cat. 2 or
+ * freight to Cat. 9. Lines with an unknown fuel, region, sector or
+ * mode are skipped and reported in `errors`.
+ * @returns {{ year, version, totals: Object<id, tCO₂e>, lines: Array, factors: Array, errors: Array<{ where, message }> }}
+ */
+function calculateEmissions(activity, factors) {
+  factors = factors || EMISSION_FACTORS;
+  const lines = [];
+  const errors = [];
+  const used = {};
+  const kg = {};
+
+  // The factor for one activity line, or null (and an error) if unusable
+  const lookup = (where, table, key, quantity) => {
+    const f = factors[table][key];
+    if (!f) {
+      errors.push({ where, message: `No ${table} factor for "${key}"` });
+      return null;
+    }
+    if (!Number.isFinite(quantity) || quantity < 0) {
+      errors.push({ where, message: `Quantity must be a non-negative number, got "${quantity}"` });
+      return null;
+    }
+    return f;
+  };
+  const list = v => (Array.isArray(v) ? v : []);
+  // Imported lines can be anything; only objects are read
+  const isLine = (where, a) => {
+    if (isObject(a)) return true;
+    errors.push({ where, message: 'Line must be an object' });
+    return false;
+  };
+  const useFactor = (id, label, value, unit, source) => {
+    used[id] = { id, label, value, unit, source: factors.sources[source] || source };
+  };
+  const add = (metric, line) => {
+    kg[metric] = (kg[metric] || 0) + line.kgCO2e;
+    lines.push(Object.assign({ metric, tCO2e: line.kgCO2e / 1000 }, line));
+  };
+
+  list(activity.fuels).forEach((a, i) => {
+    if (!isLine(`fuels[${i}]`, a)) return;
+    const f = lookup(`fuels[${i}]`, 'fuels', a.fuel, a.quantity);
+    if (!f) return;
+    useFactor(`fuel:${a.fuel}`, f.label, f.kgCO2e, `kgCO₂e/${f.unit}`, f.source);
+    add('scope1', { scope: 1, activity: f.label, detail: a.site || '', quantity: a.quantity, unit: f.unit, factor: `fuel:${a.fuel}`, kgCO2e: a.quantity * f.kgCO2e });
+  });
+
+  list(activity.electricity).forEach((a, i) => {
+    if (!isLine(`electricity[${i}]`, a)) return;
+    const f = lookup(`electricity[${i}]`, 'grid', a.region, a.kWh);
+    if (!f) return;
+    const covered = Math.min(a.kWh, a.renewableKWh || 0);
+    useFactor(`grid:${a.region}:location`, `${f.label} grid average`, f.location, 'kgCO₂e/kWh', 'iea');
+    add('scope2Location', { scope: 2, activity: `Electricity · ${f.label}`, detail: 'Location-based', quantity: a.kWh, unit: 'kWh', factor: `grid:${a.region}:location`, kgCO2e: a.kWh * f.location });
+    useFactor(`grid:${a.region}:residual`, `${f.label} residual mix`, f.residual, 'kgCO₂e/kWh', 'aib');
+    add('scope2', {
+      scope: 2, activity: `Electricity · ${f.label}`,
+      detail: covered ? `Market-based · ${formatNumber(covered, 'kWh')} kWh under ${a.instrument || 'contractual instruments'} at zero` : 'Market-based',
+      quantity: a.kWh - covered, unit: 'kWh', factor: `grid:${a.region}:residual`, kgCO2e: (a.kWh - covered) * f.residual,
+    });
+  });
+
+  const scope3 = (rows, table, qtyField, unit, defaultCat, keyField) => {
+    list(rows).forEach((a, i) => {
+      if (!isLine(`${table}[${i}]`, a)) return;
+      const f = lookup(`${table}[${i}]`, table, a[keyField], a[qtyField]);
+      if (!f) return;
+      const cat = SCOPE3_CATEGORIES[a.category] ? Number(a.category) : defaultCat;
+      useFactor(`${table}:${a[keyField]}`, f.label, f.kgCO2e, `kgCO₂e/${unit}`, f.source);
+      const line = { scope: 3, category: cat, activity: f.label, detail: `Cat. ${cat} ${SCOPE3_CATEGORIES[cat]}`, quantity: a[qtyField], unit, factor: `${table}:${a[keyField]}`, kgCO2e: a[qtyField] * f.kgCO2e };
+      add(`scope3Cat${cat}`, line);
+      kg.scope3 = (kg.scope3 || 0) + line.kgCO2e;
+    });
+  };
+  scope3(activity.spend, 'spend', 'eur', '€', 1, 'sector');
+  scope3(activity.freight, 'freight', 'tkm', 'tkm', 4, 'mode');
+
+  // Whole tonnes, as reported
+  const totals = {};
+  Object.keys(kg).forEach(id => { totals[id] = Math.round(kg[id] / 1000); });
+  return { year: activity.year, version: factors.version, totals, lines, factors: Object.values(used), errors };
+}
+
+/* Profile with its calculated emissions written into the metrics */
+function applyEmissions(profile) {
+  if (!profile.activity) return profile;
+  const calc = calculateEmissions(profile.activity);
+  const year = calc.year || profile.reportingYear;
+  const note = `Calculated · EF v${calc.version}`;
+  const overrides = [];
+
+  // Reporting-year value only: earlier series years stay as reported
+  const fill = m => {
+    if (calc.totals[m.id] == null) return m;
+    // A different reported figure is replaced, but listed so it isn't lost quietly
+    const reported = m.series ? m.series[year] : m.value;
+    if (Number.isFinite(reported) && reported !== calc.totals[m.id]) {
+      overrides.push({ id: m.id, label: m.label, reported, calculated: calc.totals[m.id] });
+    }
+    return m.series
+      ? Object.assign({}, m, { series: Object.assign({}, m.series, { [year]: calc.totals[m.id] }) })
+      : Object.assign({}, m, { value: calc.totals[m.id], note: m.note || note });
+  };
+  const keyMetrics = (profile.keyMetrics || []).map(fill);
+  const supportingMetrics = (profile.supportingMetrics || []).map(fill);
+
+  // Totals the profile doesn't list: the Scope 3 total feeds the prose, the rest become cards
+  const listed = keyMetrics.concat(supportingMetrics).map(m => m.id);
+  Object.keys(calc.totals).filter(id => !listed.includes(id)).forEach(id => {
+    const cat = /^scope3Cat(\d+)$/.exec(id);
+    const m = {
+      id, pillar: 'E', unit: 'tCO₂e', value: calc.totals[id], note, calculated: true,
+      label: cat ? `Scope 3 · Cat. ${cat[1]} ${SCOPE3_CATEGORIES[cat[1]]}` : EMISSION_METRIC_LABELS[id],
+    };
+    if (id === 'scope3') supportingMetrics.push(m);
+    else keyMetrics.push(m);
+  });
+
+  return Object.assign({}, profile, { keyMetrics, supportingMetrics, emissions: Object.assign(calc, { overrides }) });
+}
+
+/* ══════════════════════════════════════════════════════════
+   1h. SITE ROLL-UP — rollUpSites()
+   `sites` lists each site with its region, business unit (`unit`)
+   and raw figures by fiscal year. `rollup` says how a metric is
+   built from those figures:
+     { sum: field, scale? }        total, e.g. m³ → Mm³ with 1e-6
+     { ratio: [num, den], per? }   share (per 100) or intensity,
+                                   e.g. recordables per 200,000 hours
+     { count: true }               number of sites reporting
+   Ratios divide the summed numerator by the summed denominator,
+   never an average of site ratios. A year is only rolled up when
+   every site in scope reports the fields it needs.
+   A scope key narrows the sites before rolling up: 'group',
+   'region:<name>', 'unit:<name>' or 'site:<id>'.
+══════════════════════════════════════════════════════════ */
+
+const SCOPE_KINDS = { region: 'Regions', unit: 'Business units', site: 'Sites' };
+
+/**
+ * Roll a set of sites up into one series per metric in `rollup`.
+ * @returns {Object<metricId, Object<year, value>>}
+ */
+function rollUpSites(sites, rollup) {
+  const years = new Set();
+  sites.forEach(s => Object.keys(s.data || {}).forEach(y => years.add(y)));
+  const out = {};
+
+  Object.keys(rollup || {}).forEach(id => {
+    const def = rollup[id];
+    const fields = def.sum ? [def.sum] : def.ratio || [];
+    const series = {};
+
+    years.forEach(y => {
+      const rows = sites.map(s => (s.data || {})[y]);
+      let v;
+      if (def.count) {
+        v = rows.filter(Boolean).length;
+      } else {
+        if (!fields.length || rows.some(r => !r || fields.some(f => !Number.isFinite(r[f])))) return;
+        const total = f => rows.reduce((a, r) => a + r[f], 0);
+        v = def.sum ? total(def.sum) * (def.scale || 1) : total(fields[0]) / total(fields[1]) * (def.per || 1);
+      }
+      if (Number.isFinite(v)) series[y] = def.decimals != null ? Number(v.toFixed(def.decimals)) : v;
+    });
+    if (Object.keys(series).length) out[id] = series;
+  });
+  return out;
+}
+
+/* Scopes a profile can be narrowed to: the group, then each region,
+   business unit and site */
+function listScopes(profile) {
+  const sites = profile.sites || [];
+  if (!sites.length || !profile.rollup) return [];
+  const distinct = field => Array.from(new Set(sites.map(s => s[field]).filter(Boolean))).sort();
+  return [{ key: 'group', kind: 'group', label: 'Whole group' }]
+    .concat(distinct('region').map(r => ({ key: `region:${r}`, kind: 'region', label: r })))
+    .concat(distinct('unit').map(u => ({ key: `unit:${u}`, kind: 'unit', label: u })))
+    .concat(sites.map(s => ({ key: `site:${s.id}`, kind: 'site', label: s.name || s.id })));
+}
+
+/* The sites behind a scope key, with the label and the phrase the
+   {{scope}} placeholder renders. Unknown keys fall back to the group. */
+function resolveScope(profile, key) {
+  const sites = profile.sites || [];
+  const colon = String(key || '').indexOf(':');
+  const kind = colon === -1 ? 'group' : key.slice(0, colon);
+  const value = colon === -1 ? '' : key.slice(colon + 1);
+  const field = { region: 'region', unit: 'unit', site: 'id' }[kind];
+  const picked = field ? sites.filter(s => s[field] === value) : [];
+  const plural = n => `site${n === 1 ? '' : 's'}`;
+
+  if (!picked.length) {
+    return { key: 'group', kind: 'group', label: 'Whole group', phrase: `${sites.length} ${profile.siteNoun || plural(sites.length)}`, sites };
+  }
+  const label = kind === 'site' ? (picked[0].name || picked[0].id) : value;
+  const phrase = kind === 'site'   ? `the ${label} site`
+               : kind === 'region' ? `${picked.length} ${plural(picked.length)} in ${label}`
+               : `${picked.length} ${label} ${plural(picked.length)}`;
+  return { key: `${kind}:${value}`, kind, label, phrase, sites: picked };
+}
+
+/* Profile with its rolled-up metrics computed for one scope */
+function applySites(profile, scopeKey) {
+  if (!(profile.sites || []).length || !profile.rollup) return profile;
+  const scope = resolveScope(profile, scopeKey);
+  const rolled = rollUpSites(scope.sites, profile.rollup);
+  const year = profile.reportingYear;
+  const whole = scope.kind === 'group';
+
+  const fill = m => {
+    const series = rolled[m.id];
+    if (!series) return m;
+    if (m.series) {
+      // The group keeps its reported history before the site data starts
+      if (whole) return Object.assign({}, m, { series: Object.assign({}, m.series, series) });
+      // A part of the group has only its own history; the group's baseline and target don't apply
+      const out = Object.assign({}, m, { series });
+      if (series[m.baselineYear] == null) {
+        delete out.baselineYear;
+        delete out.compare;
+        delete out.target;
+      }
+      return out;
+    }
+    if (series[year] == null) return m;
+    const out = Object.assign({}, m, { value: series[year] });
+    // Single-value metrics get a YoY comparison below group level
+    if (!whole && !profile.rollup[m.id].count && series[year - 1] != null) out.prior = series[year - 1];
+    return out;
+  };
+
+  return Object.assign({}, profile, {
+    keyMetrics:        (profile.keyMetrics || []).map(fill),
+    supportingMetrics: (profile.supportingMetrics || []).map(fill),
+    scope: { key: scope.key, kind: scope.kind, label: scope.label, phrase: scope.phrase, sites: scope.sites.map(s => s.id) },
+  });
+}
+
+/**
+ * Drill-down table for a scoped profile: its sites (grouped by
+ * region, with subtotals, for the whole group) and the scope total.
+ * Cells compare the reporting year with the prior year.
+ * @returns {{ year, columns: Array<{ id, label, unit }>, rows: Array<{ key, kind, label, detail, cells }> }|null}
+ */
+function siteBreakdown(profile) {
+  const scope = profile.scope;
+  if (!scope || scope.sites.length < 2) return null;
+  const year = profile.reportingYear;
+  const sites = profile.sites.filter(s => scope.sites.includes(s.id));
+  const columns = (profile.keyMetrics || [])
+    .filter(m => profile.rollup[m.id] && !profile.rollup[m.id].count)
+    .map(m => ({ id: m.id, label: m.label, unit: m.unit }));
+
+  const row = (key, kind, label, detail, group) => {
+    const rolled = rollUpSites(group, profile.rollup);
+    const cells = {};
+    columns.forEach(c => {
+      const series = rolled[c.id] || {};
+      if (series[year] == null) return;
+      const m = resolveMetric({ unit: c.unit, value: series[year], prior: series[year - 1] });
+      cells[c.id] = { value: formatNumber(m.value, c.unit), change: m.changeSigned || '', dir: m.dir };
+    });
+    return { key, kind, label, detail, cells };
+  };
+
+  const rows = [];
+  const regions = Array.from(new Set(sites.map(s => s.region)));
+  regions.forEach(region => {
+    const inRegion = sites.filter(s => s.region === region);
+    if (scope.kind === 'group' && region) rows.push(row(`region:${region}`, 'region', region, `${inRegion.length} sites`, inRegion));
+    inRegion.forEach(s => rows.push(row(`site:${s.id}`, 'site', s.name || s.id, [s.region, s.unit].filter(Boolean).join(' · '), [s])));
+  });
+  rows.push(row(scope.key, 'total', scope.kind === 'group' ? 'Group total' : `${scope.label} total`, `${sites.length} sites`, sites));
+  return { year, columns, rows };
+}
+
+/* ══════════════════════════════════════════════════════════
+   1i. CLAIM LINTER — lintNarrative()
+   Rule-based claim-substantiation checks on the rendered prose.
+   Categories follow the EU rules on green claims — Directive
+   (EU) 2024/825 and the proposed Green Claims Directive — with
+   the greenwashing qualities named in ESMA's 2023 progress
+   report. A rule finds a phrase, then looks in its sentence for
+   what would back it: a traced figure, a benchmark, a record in
+   the metric's history, a target and year, offset data.
+   Findings carry their offsets in the block's plain text, so the
+   page can highlight them in place.
+══════════════════════════════════════════════════════════ */
+
+const CLAIM_CATEGORIES = {
+  generic: {
+    label: 'Generic & absolute claims', esma: 'Vagueness',
+    ref:   'Directive (EU) 2024/825, Annex I 4a',
+    pass:  'No generic or absolute environmental claims',
+  },
+  assertion: {
+    label: 'Compliance & assurance assertions', esma: 'Unsubstantiated claims',
+    ref:   'Green Claims proposal, Art. 10',
+    pass:  'No compliance or "no material" assertions without assurance',
+  },
+  neutrality: {
+    label: 'Neutrality claims', esma: 'Omission',
+    ref:   'Directive (EU) 2024/825, Annex I 4c',
+    pass:  'No neutrality claims without offset data',
+  },
+  comparative: {
+    label: 'Superlatives & comparisons', esma: 'Exaggeration',
+    ref:   'Green Claims proposal, Art. 4',
+    pass:  'Superlatives backed by a benchmark or record',
+  },
+  future: {
+    label: 'Forward-looking statements', esma: 'Empty claims',
+    ref:   'UCPD Art. 6(2)(d), as amended by 2024/825',
+    pass:  'Forward-looking statements state a target and year',
+  },
+  unsourced: {
+    label: 'Figures without a source', esma: 'Unsubstantiated claims',
+    ref:   'Green Claims proposal, Art. 3(1)',
+    pass:  'Every figure traces to a metric',
+  },
+};
+
+const CLAIM_SEVERITIES = ['high', 'medium', 'low'];
+
+/* Wording that ties an assertion to independent assurance */
+const ASSURANCE_PATTERN = /\b(?:ISAE ?3[04]\d0|AA1000|ISO 14064-3|(?:limited|reasonable) assurance|independently (?:assured|verified|audited))\b/i;
+
+/* Wording that puts a superlative against something outside the company */
+const BENCHMARK_PATTERN = /\b(?:benchmark|(?:sector|industry|peer) average|peers)\b/i;
+
+/**
+ * `check(sentence, lint)` returns null when the sentence backs the
+ * claim, else { severity, message }. `perSentence` rules report a
+ * sentence once, however many cue words it holds.
+ */
+const CLAIM_RULES = [
+  {
+    id: 'vague', category: 'generic',
+    pattern: /\b(?:eco[- ]friendly|environmentally friendly|(?:climate|planet|nature)[- ]friendly|green(?:er)? (?:products?|business|choice)|sustainable (?:products?|company|business|choice)|responsibly sourced|better for the (?:planet|environment))\b/gi,
+    check: () => ({ severity: 'high', message: 'Generic claim — name the environmental benefit and the figure that shows it.' }),
+  },
+  {
+    id: 'absolute', category: 'generic',
+    pattern: /\b(?:(?:zero|no) (?:environmental )?impact|100% (?:green|sustainable|clean)|(?:fully|completely|truly) sustainable|harmless to the (?:planet|environment))/gi,
+    check: () => ({ severity: 'high', message: 'Absolute claim — state what was measured and its remaining impact.' }),
+  },
+  {
+    id: 'assertion', category: 'assertion', perSentence: true,
+    pattern: /\bno material (?:gaps?|misstatements?|weakness(?:es)?|deviations?|differences?|errors?|omissions?|(?:ESG |sustainability )?data)\b|\b(?:fully|entirely|completely|100%) (?:compliant|aligned|in line)\b|\bin full compliance\b/gi,
+    check: s => ASSURANCE_PATTERN.test(s.text) ? null
+      : { severity: 'high', message: 'Assertion of compliance or no material issues with no assurance behind it — cite the assurance engagement or remove it.' },
+  },
+  {
+    id: 'neutral', category: 'neutrality',
+    pattern: /\b(?:carbon|climate)[- ](?:neutral(?:ity)?|negative|positive)\b|\bnet[- ]zero\b|\bzero[- ](?:carbon|emissions?)\b/gi,
+    // A year still to come makes it a target — the forward-looking rule covers those
+    check: (s, lint) => s.futureYears.length ? null
+      : lint.hasOffsets
+        ? { severity: 'medium', message: 'Neutrality claim — report gross emissions and the credits or removals behind it separately.' }
+        : { severity: 'high', message: 'Neutrality claim with no offset or removal data in the profile to back it.' },
+  },
+  {
+    id: 'superlative', category: 'comparative', perSentence: true,
+    pattern: /\b(?:steepest|largest|biggest|greatest|highest|lowest|best(?:[- ]in[- ]class)?|record[- ](?:low|high|breaking)|(?:industry|market|sector)[- ]leading|world[- ]class|unprecedented|unmatched|unrivalled|outperform(?:s|ed|ing)?)\b/gi,
+    check: (s, lint) => {
+      const traced = s.figures.filter(f => lint.allowed.has(f.value));
+      if (traced.length && BENCHMARK_PATTERN.test(s.text)) return null;
+      // "Record" and "steepest" rest on the history of a metric quoted in the sentence
+      if (traced.some(f => (lint.byValue[f.value] || []).some(isRecord))) return null;
+      return { severity: 'medium', message: 'Superlative with no benchmark or metric history in the sentence to show it.' };
+    },
+  },
+  {
+    id: 'forward', category: 'future', perSentence: true,
+    pattern: /\b(?:will|aims? to|plans? to|intends? to|commit(?:s|ted)? to|pledges? to|expects? to|(?:is|are) expected to|projected|on track|targeting|going forward|looking ahead|our goal)\b/gi,
+    check: s => {
+      const target = s.figures.some(f => !s.futureYears.includes(f.value)) || /\bnet[- ]zero\b/i.test(s.text);
+      if (s.futureYears.length && target) return null;
+      if (!s.futureYears.length && !target) return { severity: 'high', message: 'Forward-looking statement with neither a target value nor a year.' };
+      return s.futureYears.length
+        ? { severity: 'low', message: 'Forward-looking statement with a year but no target value.' }
+        : { severity: 'medium', message: 'Forward-looking statement with no target year.' };
+    },
+  },
+];
+
+/* Plain text of an HTML fragment, with each character's span in the HTML */
+function textWithOffsets(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+  let text = '';
+  const from = [];
+  const to = [];
+  const re = /<[^>]*>|&(#?[a-z\d]+);|[\s\S]/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    if (m[0][0] === '<' && m[0].length > 1) continue;
+    text += m[1] ? (entities[m[1].toLowerCase()] || ' ') : m[0];
+    from.push(m.index);
+    to.push(m.index + m[0].length);
+  }
+  return { text, from, to };
+}
+
+/* Sentences of a plain text, with their offsets. Decimal points are
+   not sentence ends, as no space follows them. */
+function splitSentences(text) {
+  const sentences = [];
+  const re = /[.!?]+(?=\s|$)|$/g;
+  let start = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    const end = m.index + m[0].length;
+    if (text.slice(start, end).trim()) sentences.push({ start, end, text: text.slice(start, end) });
+    start = end;
+    if (!m[0]) break;
+  }
+  return sentences;
+}
+
+/* True when a metric's latest value is the extreme of its history or
+   its latest year-on-year move the largest — what "record" can mean */
+function isRecord(m) {
+  const values = seriesPoints(m).map(p => p[1]);
+  if (values.length < 3) return false;
+  const latest = values[values.length - 1];
+  if (latest === Math.max(...values) || latest === Math.min(...values)) return true;
+  const moves = values.slice(1).map((v, i) => Math.abs(v - values[i]));
+  return moves[moves.length - 1] === Math.max(...moves);
+}
+
+/**
+ * Lint the narrative's paragraphs and pull quote for claims the data
+ * does not substantiate. Only `reportingYear` and `scope` are read
+ * from the profile, so hand-edited prose can be re-checked.
+ * @returns {{ findings: Array<{ id, rule, category, severity, block, start, end, text, message }>,
+ *             counts: { high, medium, low } }}
+ */
+function lintNarrative(narrative, profile) {
+  const ctx = narrative.context || {};
+  const year = profile.reportingYear || new Date().getFullYear();
+  const byValue = {};
+  Object.values(ctx).forEach(m => {
+    const v = formatNumber(m.value, m.unit).replace(/,/g, '');
+    (byValue[v] = byValue[v] || []).push(m);
+  });
+  const lint = {
+    allowed:    traceableNumbers(ctx, profile),
+    byValue,
+    hasOffsets: Object.values(ctx).some(m => /offset|credit|removal/i.test(`${m.id} ${m.label}`)),
+  };
+
+  const blocks = narrative.paragraphs.map((html, i) => ({ block: i, html }))
+    .concat(narrative.pullQuote ? [{ block: 'pullQuote', html: narrative.pullQuote }] : []);
+  const findings = [];
+
+  blocks.forEach(({ block, html }) => {
+    const { text } = textWithOffsets(html);
+    const add = (rule, category, start, end, issue) => findings.push({
+      id: `${block}-${findings.length}`, rule, category, severity: issue.severity,
+      block, start, end, text: text.slice(start, end), message: issue.message,
+    });
+
+    splitSentences(text).forEach(sentence => {
+      const s = {
+        text:        sentence.text,
+        figures:     figuresIn(sentence.text),
+        futureYears: (sentence.text.match(/\b(?:FY)?20\d\d\b/g) || []).map(y => y.replace('FY', '')).filter(y => Number(y) > year),
+      };
+
+      CLAIM_RULES.forEach(rule => {
+        rule.pattern.lastIndex = 0;
+        let m;
+        while ((m = rule.pattern.exec(sentence.text))) {
+          const issue = rule.check(s, lint);
+          if (issue) add(rule.id, rule.category, sentence.start + m.index, sentence.start + m.index + m[0].length, issue);
+          if (rule.perSentence) break;
+        }
+      });
+
+      s.figures.filter(f => !lint.allowed.has(f.value)).forEach(f => {
+        const start = sentence.start + f.index;
+        add('untraced', 'unsourced', start, start + f.text.length,
+          { severity: 'high', message: 'Figure not traced to any metric — link it to source data or remove it.' });
+      });
+    });
+  });
+
+  const counts = {};
+  CLAIM_SEVERITIES.forEach(sev => { counts[sev] = findings.filter(f => f.severity === sev).length; });
+  return { findings, counts };
+}
+
+/* Paragraph HTML with each finding wrapped in a <mark>. A finding
+   that would cross a tag boundary is left unmarked. */
+function markClaims(html, findings) {
+  const { from, to } = textWithOffsets(html);
+  let out = html;
+  let limit = Infinity;
+  findings.slice().sort((a, b) => b.start - a.start).forEach(f => {
+    if (f.end > from.length) return;
+    const a = from[f.start];
+    const b = to[f.end - 1];
+    if (b > limit || /[<>]/.test(html.slice(a, b))) return;
+    out = `${out.slice(0, a)}<mark class="claim claim-${f.severity}" data-finding="${f.id}" title="${escapeHtml(f.message)}">${out.slice(a, b)}</mark>${out.slice(b)}`;
+    limit = a;
+  });
+  return out;
+}
+
+/* ══════════════════════════════════════════════════════════
+   2. UTILITIES — Report date & HTML escaping
+══════════════════════════════════════════════════════════ */
+
+function getReportDate() {
+  const d = new Date();
+  return d.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/* A plain object — not null, an array or a primitive */
+function isObject(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/* Escape user-supplied text before injecting it as HTML */
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[c]);
+}
+
+/* ══════════════════════════════════════════════════════════
+   3. HOMEPAGE — Theme cards from the registry, click events
+══════════════════════════════════════════════════════════ */
+
+/* Store the chosen topic and move to the generate page */
+function launchNarrative(topic) {
+  if (!THEMES[topic]) return;
+
+  // Show loading overlay briefly for UX realism
+  const overlay = document.getElementById('loadingOverlay');
+  if (overlay) overlay.classList.add('visible');
+
+  // Store selection in sessionStorage so generate.html can read it
+  // A new theme starts from the full report for the whole group
+  sessionStorage.setItem('esg_topic', topic);
+  sessionStorage.removeItem('esg_draft');
+  sessionStorage.removeItem('esg_scope');
+  sessionStorage.removeItem('esg_audience');
+
+  // Navigate after a short simulated "processing" delay; the query
+  // string carries an opted-in live feed (?live=) across
+  setTimeout(() => {
+    window.location.href = 'generate.html' + window.location.search;
+  }, 1100);
+}
+
+function initHomepage() {
+  initImportPanel();
+  initDraftsPanel();
+
+  const grid = document.getElementById('themeGrid');
+  if (!grid) return;
+
+  // One card per registered theme
+  grid.innerHTML = Object.keys(THEMES).map(topic => {
+    const theme = THEMES[topic];
+    return `
+      <button class="theme-card ${theme.colorClass}" data-topic="${topic}" role="listitem" tabindex="0">
+        <div style="display:flex;align-items:flex-start;justify-content:space-between;"><div class="tc-icon">${theme.icon}</div><div class="tc-tag">${escapeHtml(theme.card.tag)}</div></div>
+        <div><div class="tc-title">${escapeHtml(theme.card.title)}</div><div class="tc-desc">${escapeHtml(theme.card.description)}</div></div>
+        <div class="tc-frameworks">${theme.card.chips.map(c => `<span class="fw-chip">${escapeHtml(c)}</span>`).join('')}</div>
+        <div class="tc-footer"><div class="tc-cta">Generate narrative <span class="tc-arrow">→</span></div></div>
+      </button>`;
+  }).join('');
+
+  grid.querySelectorAll('.theme-card[data-topic]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      launchNarrative(btn.getAttribute('data-topic'));
+    });
+
+    // Keyboard accessibility
+    btn.addEventListener('keydown', e => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        btn.click();
+      }
+    });
+  });
+}
+
+/* ══════════════════════════════════════════════════════════
+   4. GENERATE PAGE — Build & inject all narrative content
+══════════════════════════════════════════════════════════ */
+
+/* Inline SVG trend chart for one metric: actual series, baseline
+   marker, and the dashed target path where the metric has one */
+function buildTrendChart(m) {
+  const points = seriesPoints(m);
+  const traj = assessTrajectory(m);
+  const W = 300, H = 150, L = 44, R = 12, T = 14, B = 24;
+
+  const years  = points.map(p => p[0]).concat(traj ? [traj.end[0]] : []);
+  const values = points.map(p => p[1]).concat(traj ? [traj.start[1], traj.end[1]] : []);
+  const x0 = Math.min(...years), x1 = Math.max(...years);
+  const vMax = Math.max(...values), vMin = Math.min(...values);
+  // Start the axis at zero unless that would flatten the line
+  const y0 = vMin < vMax * 0.5 ? 0 : vMin - (vMax - vMin) * 0.2;
+  // Round the top of the axis up to a readable figure, at least one
+  // step above the bottom so a flat series (e.g. all zero) still has a span
+  const step = Math.pow(10, Math.floor(Math.log10(vMax || 1))) / 2;
+  const y1 = Math.max(Math.ceil((vMax * 1.05) / step) * step, y0 + step);
+
+  const round = n => Math.round(n * 10) / 10;
+  const sx = y => round(L + (x1 === x0 ? 0 : (y - x0) / (x1 - x0)) * (W - L - R));
+  const sy = v => round(T + (1 - (v - y0) / (y1 - y0)) * (H - T - B));
+  const pt = ([y, v]) => `${sx(y)},${sy(v)}`;
+  const fmt = v => formatNumber(Math.round(v * 100) / 100, m.unit);
+
+  const baseline = points.find(([y]) => y === m.baselineYear);
+  const last = points[points.length - 1];
+
+  return `
+    <figure class="trend-chart" role="listitem">
+      <figcaption>
+        <span class="trend-chart-label">${m.label}</span>
+        ${traj ? `<span class="trend-chart-status ${traj.onTrack ? 'on' : 'off'}">${traj.onTrack ? '● On track' : '● Off track'}</span>` : ''}
+      </figcaption>
+      <svg viewBox="0 0 ${W} ${H}" role="img" aria-label="${m.label}: ${points.map(([y, v]) => `FY${y} ${fmt(v)}`).join(', ')}${traj ? `; target ${traj.label}` : ''}">
+        <line class="chart-axis" x1="${L}" y1="${H - B}" x2="${W - R}" y2="${H - B}" />
+        <text class="chart-tick" x="${L - 6}" y="${sy(y1) + 4}" text-anchor="end">${fmt(y1)}</text>
+        <text class="chart-tick" x="${L - 6}" y="${sy(y0) + 4}" text-anchor="end">${fmt(y0)}</text>
+        <text class="chart-tick" x="${sx(x0)}" y="${H - 6}" text-anchor="start">FY${x0}</text>
+        <text class="chart-tick" x="${sx(x1)}" y="${H - 6}" text-anchor="end">FY${x1}</text>
+        ${baseline ? `<line class="chart-baseline" x1="${sx(baseline[0])}" y1="${T}" x2="${sx(baseline[0])}" y2="${H - B}" />
+        <text class="chart-note" x="${sx(baseline[0]) + 4}" y="${T + 8}">Baseline</text>` : ''}
+        ${traj ? `<line class="chart-target" x1="${sx(traj.start[0])}" y1="${sy(traj.start[1])}" x2="${sx(traj.end[0])}" y2="${sy(traj.end[1])}" />
+        <circle class="chart-target-dot" cx="${sx(traj.end[0])}" cy="${sy(traj.end[1])}" r="3" />
+        <text class="chart-note target" x="${sx(traj.end[0]) - 4}" y="${sy(traj.end[1]) - 6}" text-anchor="end">${traj.label}</text>` : ''}
+        <polyline class="chart-line" points="${points.map(pt).join(' ')}" />
+        ${points.map(p => `<circle class="chart-dot" cx="${sx(p[0])}" cy="${sy(p[1])}" r="2.5"><title>FY${p[0]}: ${fmt(p[1])}</title></circle>`).join('')}
+        <text class="chart-value" x="${sx(last[0])}" y="${sy(last[1]) - 7}" text-anchor="middle">${fmt(last[1])}</text>
+      </svg>
+    </figure>
+  `;
+}
+
+/* Inject a built report into generate.html. Safe to call again
+   whenever the report changes (e.g. a different audience). */
+function renderReport(report) {
+  const data      = report.theme;
+  const narrative = report.narrative;
+  // Drafts saved before the claim linter existed are linted on display
+  const claims    = report.claims || lintNarrative(narrative, { reportingYear: report.reportingYear, scope: report.scope });
+
+  /* ── 4a. Update <head> title ── */
+  document.title = `${data.name} — ESG Narrative Intelligence`;
+
+  /* ── 4b. Topic badge in topbar ── */
+  const topicBadge = document.getElementById('topicBadge');
+  if (topicBadge) {
+    topicBadge.textContent = `${data.icon} ${data.name}`;
+    topicBadge.className = `gen-topic-badge ${data.colorClass}`;
+  }
+
+  /* ── 4c. Report date ── */
+  const reportDate = document.getElementById('reportDate');
+  if (reportDate) reportDate.textContent = report.date;
+
+  /* ── 4d. Report header class (color strip) ── */
+  const reportHeader = document.getElementById('reportHeader');
+  if (reportHeader) {
+    reportHeader.className = `report-header ${data.colorClass}`;
+    document.getElementById('reportTypeTag').className = `report-type-tag ${data.colorClass}`;
+    document.getElementById('reportTypeTag').textContent = `${data.icon}  ${data.name} Narrative`;
+  }
+
+  /* ── 4e. Report title & subtitle ── */
+  document.getElementById('reportTitle').textContent    = report.title;
+  document.getElementById('reportSubtitle').textContent = report.subtitle;
+
+  /* ── 4f. ESG Data Cards ── */
+  const dataGrid = document.getElementById('dataCardsGrid');
+  if (dataGrid) {
+    // data-edit marks the fields the workspace lets an analyst correct
+    dataGrid.innerHTML = narrative.metrics.map((m, i) => `
+      <div class="esg-data-card ${m.pillar.toLowerCase()}" data-card="${i}" data-metric="${escapeHtml(m.id)}">
+        <div class="dc-pillar">● ${m.pillar === 'E' ? 'Environmental' : m.pillar === 'S' ? 'Social' : 'Governance'}</div>
+        <div class="dc-value"><span data-edit="value">${m.value}</span><span style="font-size:14px;font-family:'Source Serif 4',serif;font-weight:300;">${m.unit}</span></div>
+        <div class="dc-label" data-edit="label">${m.label}</div>
+        <div class="dc-change ${m.dir}">${m.dir === 'up' ? '▲' : m.dir === 'down' ? '▼' : '—'} <span data-edit="change">${m.change}</span></div>
+      </div>
+    `).join('');
+  }
+
+  /* ── 4g. Narrative paragraphs ── */
+  const narrativeBody = document.getElementById('narrativeBody');
+  if (narrativeBody) {
+    // Claim findings are highlighted on screen only; the report keeps clean prose
+    const marked = block => markClaims(block === 'pullQuote' ? narrative.pullQuote : narrative.paragraphs[block],
+      claims.findings.filter(f => f.block === block));
+    // Insert pull quote after second paragraph
+    const paras = narrative.paragraphs;
+    let html = '';
+    paras.forEach((p, i) => {
+      html += `<p data-edit="paragraph">${marked(i)}</p>`;
+      if (i === 1 && narrative.pullQuote) {
+        html += `
+          <div class="pull-quote ${data.colorClass}">
+            <p>"<span data-edit="pullQuote">${marked('pullQuote')}</span>"</p>
+          </div>
+        `;
+      }
+    });
+    narrativeBody.innerHTML = html;
+  }
+
+  /* ── 4h. Framework tags ── */
+  const fwContainer = document.getElementById('frameworkTags');
+  if (fwContainer) {
+    fwContainer.innerHTML = report.frameworks.map(f => `<span class="fw-tag">${f.name}</span>`).join('');
+  }
+
+  /* ── 4i. Integrity score, bar animation & check list ── */
+  const integrity = report.integrity;
+  const integrityFill  = document.getElementById('integrityFill');
+  const integrityLabel = document.getElementById('integrityLabel');
+  if (integrityFill && integrityLabel) {
+    integrityLabel.textContent = `Narrative Integrity: ${integrity.score}%`;
+    const integrityBar = document.getElementById('integrityBar');
+    if (integrityBar) integrityBar.setAttribute('aria-valuenow', integrity.score);
+    // Trigger animation after paint
+    requestAnimationFrame(() => {
+      setTimeout(() => {
+        integrityFill.style.width = `${integrity.score}%`;
+      }, 300);
+    });
+  }
+
+  const integrityChecks = document.getElementById('integrityChecks');
+  if (integrityChecks) {
+    integrityChecks.innerHTML = integrity.checks.map(c => `
+      <div class="gg-row" role="listitem">
+        <span class="gg-icon" aria-hidden="true">${c.passed ? '✅' : c.score > 0 ? '⚠️' : '❌'}</span>
+        <div>
+          ${c.label}
+          <span class="ic-points">${Math.round(c.weight * c.score)}/${c.weight} pts</span>
+          <div class="ic-detail">${escapeHtml(c.detail)}</div>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /* ── 4u. Claim check — findings by EU green-claims category ── */
+  const claimFindings = document.getElementById('claimFindings');
+  if (claimFindings) {
+    const c = claims.counts;
+    document.getElementById('claimSummary').textContent = claims.findings.length
+      ? `${claims.findings.length} finding${claims.findings.length === 1 ? '' : 's'} · ${CLAIM_SEVERITIES.filter(sev => c[sev]).map(sev => `${c[sev]} ${sev}`).join(' · ')}`
+      : 'No unsubstantiated claims found';
+    claimFindings.innerHTML = Object.keys(CLAIM_CATEGORIES).map(key => {
+      const cat = CLAIM_CATEGORIES[key];
+      const found = claims.findings.filter(f => f.category === key);
+      if (!found.length) {
+        return `
+      <div class="gg-row" role="listitem">
+        <span class="gg-icon" aria-hidden="true">✅</span>
+        ${cat.pass}
+      </div>`;
+      }
+      return found.map(f => `
+      <div class="gg-row claim-row" role="listitem">
+        <span class="gg-icon" aria-hidden="true">${f.severity === 'high' ? '❌' : '⚠️'}</span>
+        <div>
+          <button type="button" class="claim-jump" data-finding="${f.id}" data-block="${f.block}">“${escapeHtml(f.text)}”</button>
+          <span class="claim-sev ${f.severity}">${f.severity}</span>
+          <div class="ic-detail">${escapeHtml(f.message)}</div>
+          <div class="claim-ref">${cat.label} · ESMA: ${cat.esma} · ${cat.ref}</div>
+        </div>
+      </div>`).join('');
+    }).join('');
+  }
+
+  /* ── 4j. Audience line ── */
+  const audience = document.getElementById('audienceLabel');
+  if (audience) audience.textContent = report.audience;
+
+  /* ── 4k. Sidebar — trend scores from the theme registry ── */
+  const trendContainer = document.getElementById('trendContainer');
+  if (trendContainer) {
+    const trends = (THEMES[report.topic] || {}).trends || [];
+    trendContainer.innerHTML = trends.map(tr => `
+      <div class="trend-row">
+        <span class="trend-name-small">${tr.name}</span>
+        <span class="trend-score">${tr.score}</span>
+      </div>
+    `).join('');
+  }
+
+  /* ── 4l. Framework alignment sidebar ── */
+  const fwAlignContainer = document.getElementById('fwAlignContainer');
+  if (fwAlignContainer) {
+    // Readiness comes from which catalogued data points the profile holds
+    fwAlignContainer.innerHTML = report.frameworks.map(f => `
+      <details class="fw-detail" role="listitem">
+        <summary class="fw-align-row">
+          <span class="fw-name">${f.name}</span>
+          <span class="fw-status ${f.status}">${f.label}</span>
+        </summary>
+        <ul class="fw-missing">
+          ${!f.key ? '<li>Not in the requirements catalogue — readiness not assessed.</li>'
+            : f.missing.length ? f.missing.map(r => `<li><span class="fw-ref">${f.key} ${r.ref}</span> ${r.label}${r.baseline ? ' (needs baseline)' : ''}</li>`).join('')
+            : '<li>All catalogued disclosures covered.</li>'}
+        </ul>
+      </details>
+    `).join('');
+  }
+
+  /* ── 4n. Multi-year trend charts ── */
+  const trendCharts = document.getElementById('trendCharts');
+  if (trendCharts) {
+    const withHistory = Object.values(narrative.context).filter(m => seriesPoints(m).length > 1);
+    // Metrics with a target first — those answer "are we on track?"
+    withHistory.sort((a, b) => Number(Boolean(b.target)) - Number(Boolean(a.target)));
+    trendCharts.innerHTML = withHistory.map(buildTrendChart).join('');
+    const trendSection = document.getElementById('trendSection');
+    if (trendSection) trendSection.hidden = !withHistory.length;
+  }
+
+  /* ── 4s. Site breakdown — drill down by region & site ── */
+  const breakdownSection = document.getElementById('breakdownSection');
+  if (breakdownSection) {
+    const bd = report.breakdown;
+    breakdownSection.hidden = !bd;
+    if (bd) {
+      document.getElementById('breakdownNote').textContent =
+        `FY${bd.year} · change vs FY${bd.year - 1} · ratios and rates are recomputed from site totals, not averaged`;
+      document.getElementById('breakdownTable').innerHTML = `
+        <thead><tr><th>Site</th>${bd.columns.map(c => `<th>${escapeHtml(c.label)}${unitLabel(c.unit) ? ` (${unitLabel(c.unit)})` : ''}</th>`).join('')}</tr></thead>
+        <tbody>${bd.rows.map(r => `
+          <tr class="${r.kind}">
+            <td>
+              <button type="button" class="sb-drill" data-scope="${escapeHtml(r.key)}"${r.kind === 'total' ? ' disabled' : ''}>${r.label}</button>
+              ${r.detail ? `<span class="ef-detail">${r.detail}</span>` : ''}
+            </td>
+            ${bd.columns.map(c => {
+              const cell = r.cells[c.id];
+              return cell ? `<td>${cell.value}${cell.change ? `<span class="sb-change">${cell.dir === 'up' ? '▲' : cell.dir === 'down' ? '▼' : '—'} ${cell.change}</span>` : ''}</td>` : '<td>—</td>';
+            }).join('')}
+          </tr>`).join('')}</tbody>`;
+    }
+  }
+
+  /* ── 4q. Appendix — emission factors behind the calculated totals ── */
+  const factorsAppendix = document.getElementById('factorsAppendix');
+  if (factorsAppendix) {
+    const em = report.emissions;
+    factorsAppendix.hidden = !em;
+    if (em) {
+      document.getElementById('factorsVersion').textContent = `Factor set v${em.version} · FY${em.year} activity`;
+      document.getElementById('factorsTable').innerHTML = `
+        <thead><tr><th>Scope</th><th>Activity</th><th>Quantity</th><th>Factor</th><th>Source</th><th>tCO₂e</th></tr></thead>
+        <tbody>${em.lines.map(l => {
+          const f = em.factors.find(x => x.id === l.factor);
+          return `
+          <tr>
+            <td>${l.scope}${l.category ? ` · Cat. ${l.category}` : ''}</td>
+            <td>${escapeHtml(l.activity)}${l.detail ? `<span class="ef-detail">${escapeHtml(l.detail)}</span>` : ''}</td>
+            <td>${formatNumber(Math.round(l.quantity), 'count')} ${l.unit}</td>
+            <td>${f.value} ${f.unit}</td>
+            <td>${escapeHtml(f.source)}</td>
+            <td>${formatNumber(Math.round(l.tCO2e), 'count')}</td>
+          </tr>`;
+        }).join('')}</tbody>`;
+      const errs = em.errors || [];
+      const overrides = em.overrides || [];
+      document.getElementById('factorsErrors').innerHTML = (errs.length
+        ? `<div class="import-errors" role="alert"><div class="import-errors-title">${errs.length} activity line${errs.length === 1 ? '' : 's'} skipped</div><ul>${errs.map(e => `<li><span class="import-where">${escapeHtml(e.where)}</span> ${escapeHtml(e.message)}</li>`).join('')}</ul></div>`
+        : '') + (overrides.length
+        ? `<div class="import-errors" role="alert"><div class="import-errors-title">${overrides.length} reported figure${overrides.length === 1 ? '' : 's'} replaced by the calculation</div><ul>${overrides.map(o => `<li><span class="import-where">${escapeHtml(o.label || o.id)}</span> reported ${formatNumber(o.reported, 'tCO₂e')} tCO₂e, calculated ${formatNumber(o.calculated, 'tCO₂e')} tCO₂e</li>`).join('')}</ul></div>`
+        : '');
+    }
+  }
+}
+
+function initGeneratePage() {
+  // A reopened draft is shown exactly as saved, not rebuilt
+  const draft = getDraft(sessionStorage.getItem('esg_draft'));
+  const saved = draft ? draft.versions[draft.versions.length - 1].report : null;
+
+  // Otherwise read topic from sessionStorage; default to climate if missing
+  const topic = saved ? saved.topic : (sessionStorage.getItem('esg_topic') || 'climate');
+  const data  = getProfile(topic);
+  if (!data && !saved) return;
+
+  let audience = saved ? saved.audienceKey : (sessionStorage.getItem('esg_audience') || 'standard');
+  if (!AUDIENCE_VARIANTS[audience]) audience = 'standard';
+  // Group, region, business unit or site (section 1h); unknown keys fall back to the group
+  let scope = saved ? (saved.scope ? saved.scope.key : 'group') : (sessionStorage.getItem('esg_scope') || 'group');
+
+  // Workspace state: the report on screen, the draft it belongs to,
+  // and `origin` — a freshly generated report not yet in the history
+  const ws = { report: null, origin: null, draftId: draft ? draft.id : null, editing: false, dirty: false, label: 'Edited' };
+  let live = null;
+  // Live figures for the scope on screen; they sit beside the report, never in it
+  const showLive = () => {
+    if (!live) return;
+    const sc = ws.report && ws.report.scope;
+    const now = Date.now();
+    const figures = liveFigures(data, live, now, sc && sc.kind !== 'group' ? sc.sites : null);
+    renderLiveFigures(figures, liveSentence(data, figures, now));
+  };
+  const show = r => {
+    ws.report = r;
+    renderReport(r);
+    setEditable(ws.editing);
+    showLive();
+  };
+  const render = () => {
+    ws.origin = buildReport(topic, data, { audience, scope });
+    show(ws.origin);
+  };
+  if (saved) show(saved);
+  else render();
+
+  /* ── 4r. Live sensor feed — current figures on the data cards ── */
+  if (data) live = initLiveFeed(data, showLive);
+
+  /* ── 4o. Audience selector — regenerate tone & length ── */
+  const audienceSelect = document.getElementById('audienceSelect');
+  if (audienceSelect) {
+    audienceSelect.innerHTML = Object.keys(AUDIENCE_VARIANTS).map(key =>
+      `<option value="${key}"${key === audience ? ' selected' : ''}>${AUDIENCE_VARIANTS[key].label}</option>`
+    ).join('');
+    // Needs the source profile, which an old draft of imported data may have lost
+    audienceSelect.disabled = !data;
+    audienceSelect.addEventListener('change', () => {
+      if (ws.dirty && !window.confirm('Switching audience regenerates the narrative. Discard unsaved edits?')) {
+        audienceSelect.value = ws.report.audienceKey;
+        return;
+      }
+      audience = audienceSelect.value;
+      sessionStorage.setItem('esg_audience', audience);
+      render();
+      ws.dirty = false;
+    });
+  }
+
+  /* ── 4t. Scope selector & drill-down table ── */
+  const scopeSelect = document.getElementById('scopeSelect');
+  const scopes = data ? listScopes(data) : [];
+  if (scopeSelect && scopes.length) {
+    scopeSelect.innerHTML = ['group', 'region', 'unit', 'site'].map(kind => {
+      const options = scopes.filter(sc => sc.kind === kind).map(sc =>
+        `<option value="${escapeHtml(sc.key)}">${sc.label}</option>`).join('');
+      return kind === 'group' ? options : `<optgroup label="${SCOPE_KINDS[kind]}">${options}</optgroup>`;
+    }).join('');
+    scopeSelect.value = ws.report.scope ? ws.report.scope.key : 'group';
+    scopeSelect.hidden = false;
+
+    scopeSelect.addEventListener('change', () => {
+      if (ws.dirty && !window.confirm('Switching scope regenerates the narrative. Discard unsaved edits?')) {
+        scopeSelect.value = ws.report.scope ? ws.report.scope.key : 'group';
+        return;
+      }
+      scope = scopeSelect.value;
+      sessionStorage.setItem('esg_scope', scope);
+      render();
+      ws.dirty = false;
+    });
+
+    // Site and region names in the breakdown drill down through the same selector
+    const breakdownTable = document.getElementById('breakdownTable');
+    if (breakdownTable) {
+      breakdownTable.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-scope]');
+        if (!btn) return;
+        scopeSelect.value = btn.getAttribute('data-scope');
+        scopeSelect.dispatchEvent(new Event('change'));
+      });
+    }
+  }
+
+  /* ── 4v. Claim findings — jump to the flagged phrase ── */
+  const claimFindings = document.getElementById('claimFindings');
+  if (claimFindings) {
+    claimFindings.addEventListener('click', e => {
+      const btn = e.target.closest('button[data-finding]');
+      if (!btn) return;
+      // A phrase that crosses a tag has no highlight; go to its paragraph instead
+      const block = btn.getAttribute('data-block');
+      const target = document.querySelector(`#narrativeBody mark[data-finding="${btn.getAttribute('data-finding')}"]`)
+        || (block === 'pullQuote' ? document.querySelector('#narrativeBody [data-edit="pullQuote"]')
+          : document.querySelectorAll('#narrativeBody [data-edit="paragraph"]')[Number(block)]);
+      if (!target) return;
+      target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      // Re-adding the class restarts the flash animation
+      target.classList.remove('claim-flash');
+      void target.offsetWidth;
+      target.classList.add('claim-flash');
+    });
+  }
+
+  /* ── 4p. Editable workspace — inline edits, drafts, history ── */
+  initWorkspace(ws, show);
+
+  /* ── 4m. Export menu — PDF (print), Markdown, JSON, tagged XML ── */
+  const exportBtn  = document.getElementById('exportBtn');
+  const exportMenu = document.getElementById('exportMenu');
+  if (exportBtn && exportMenu) {
+    const setOpen = open => {
+      exportMenu.hidden = !open;
+      exportBtn.setAttribute('aria-expanded', String(open));
+    };
+
+    exportBtn.addEventListener('click', e => {
+      e.stopPropagation();
+      setOpen(exportMenu.hidden);
+    });
+    document.addEventListener('click', () => setOpen(false));
+
+    exportMenu.querySelectorAll('[data-export]').forEach(item => {
+      item.addEventListener('click', () => {
+        setOpen(false);
+        // Exports carry any edits not yet saved as a draft
+        exportReport(ws.dirty ? applyEdits(ws.report) : ws.report, item.getAttribute('data-export'));
+      });
+    });
+  }
+}
+
+/* ══════════════════════════════════════════════════════════
+   5. DATA IMPORT — build profiles from the user's own data
+   Accepts a CSV or JSON file of metrics per theme, validates
+   each row and produces profiles with the same shape as
+   DATA_PROFILES. Rows whose `id` matches the theme's template
+   metrics get the full narrative; otherwise the generic
+   per-pillar template is used. Imported profiles live in sessionStorage
+   (esg_imported) and take precedence over the built-in ones.
+══════════════════════════════════════════════════════════ */
+
+const IMPORT_REQUIRED = ['theme', 'pillar', 'label', 'value', 'unit'];
+const IMPORT_PILLARS  = ['E', 'S', 'G'];
+const IMPORT_DIRS     = ['up', 'down', 'flat'];
+
+/* Resolve a unit spelling to its canonical key, or null if unknown */
+function resolveUnit(raw) {
+  const u = String(raw == null ? '' : raw).trim().toLowerCase();
+  return Object.keys(UNITS).find(key =>
+    key.toLowerCase() === u || UNITS[key].aliases.includes(u)
+  ) || null;
+}
+
+/* Minimal RFC 4180 parser — quoted fields, escaped quotes, CRLF */
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/* Turn CSV text into row records: [{ where, fields }] */
+function csvToRecords(text) {
+  const rows = parseCsv(text.replace(/^﻿/, ''));
+  if (!rows.length) throw new Error('The file is empty.');
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  return rows.slice(1).map((cells, i) => {
+    const fields = {};
+    header.forEach((h, j) => { fields[h] = (cells[j] || '').trim(); });
+    return { where: `Row ${i + 2}`, fields };
+  });
+}
+
+/* Turn JSON text into row records. Two shapes are accepted:
+   an array of metric rows, or an object keyed by theme with
+   { audience?, frameworks?, reportingYear?, dataAsOf?, assurance?, activity?,
+   sites?, rollup?, siteNoun?, keyMetrics: [...] } per theme. A
+   malformed theme block is reported in `errors` and skipped. */
+function jsonToRecords(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON — ${err.message}`);
+  }
+
+  if (Array.isArray(json)) {
+    return { records: json.map((fields, i) => ({ where: `Item ${i + 1}`, fields })), meta: {}, errors: [] };
+  }
+
+  if (!json || typeof json !== 'object') throw new Error('Expected an array of metrics or an object keyed by theme.');
+
+  const records = [];
+  const meta = {};
+  const errors = [];
+  Object.keys(json).forEach(theme => {
+    const block = json[theme];
+    if (!isObject(block)) {
+      errors.push({ where: theme, field: '', message: 'Theme block must be an object.' });
+      return;
+    }
+    if (block.keyMetrics != null && !Array.isArray(block.keyMetrics)) {
+      errors.push({ where: theme, field: 'keyMetrics', message: 'keyMetrics must be a list.' });
+      return;
+    }
+    meta[theme] = {
+      audience:      block.audience,
+      frameworks:    block.frameworks,
+      reportingYear: block.reportingYear,
+      dataAsOf:      block.dataAsOf,
+      assurance:     block.assurance,
+      activity:      block.activity,
+      sites:         block.sites,
+      rollup:        block.rollup,
+      siteNoun:      block.siteNoun,
+    };
+    (block.keyMetrics || []).forEach((fields, i) => {
+      records.push({ where: `${theme}.keyMetrics[${i}]`, fields: isObject(fields) ? Object.assign({ theme }, fields) : fields });
+    });
+  });
+  return { records, meta, errors };
+}
+
+/* Validate one record; returns { metric } or { errors } */
+function validateRecord(rec) {
+  const f = rec.fields;
+  const errors = [];
+  const err = (field, message) => errors.push({ where: rec.where, field, message });
+
+  if (!isObject(f)) {
+    err('', 'Each metric must be an object of fields.');
+    return { errors };
+  }
+
+  IMPORT_REQUIRED.forEach(k => {
+    if (f[k] == null || String(f[k]).trim() === '') err(k, `Missing required field "${k}".`);
+  });
+  if (errors.length) return { errors };
+
+  const theme = String(f.theme).trim().toLowerCase();
+  if (!THEMES[theme]) err('theme', `Unknown theme "${f.theme}" — expected one of ${Object.keys(THEMES).join(', ')}.`);
+
+  const pillar = String(f.pillar).trim().toUpperCase();
+  if (!IMPORT_PILLARS.includes(pillar)) err('pillar', `Pillar must be E, S or G (got "${f.pillar}").`);
+
+  const unit = resolveUnit(f.unit);
+  if (!unit) err('unit', `Unknown unit "${f.unit}".`);
+
+  const toNumber = v => (typeof v === 'number' ? v : Number(String(v).replace(/,/g, '').trim()));
+  const num = toNumber(f.value);
+  if (!Number.isFinite(num)) {
+    err('value', `Value "${f.value}" is not a number.`);
+  } else if (unit) {
+    const def = UNITS[unit];
+    if (def.integer && !Number.isInteger(num)) err('value', `Value for unit "${unit}" must be a whole number.`);
+    if (def.range && (num < def.range[0] || num > def.range[1])) {
+      err('value', `Value ${num} is outside the ${def.range[0]}–${def.range[1]} range for unit "${unit}".`);
+    }
+  }
+
+  const hasPrior = f.prior != null && String(f.prior).trim() !== '';
+  const prior = hasPrior ? toNumber(f.prior) : null;
+  if (hasPrior && !Number.isFinite(prior)) err('prior', `Prior-year value "${f.prior}" is not a number.`);
+
+  const dirRaw = f.dir == null ? '' : String(f.dir).trim().toLowerCase();
+  if (dirRaw && !IMPORT_DIRS.includes(dirRaw)) err('dir', `Direction must be up, down or flat (got "${f.dir}").`);
+
+  const id = f.id ? String(f.id).trim() : slugify(f.label);
+  if (!/^[A-Za-z][\w]*$/.test(id)) {
+    err('id', `Metric id "${id}"${f.id ? '' : ' (derived from the label)'} must start with a letter and contain only letters, digits and underscores.`);
+  }
+
+  if (errors.length) return { errors };
+
+  const metric = {
+    id,
+    pillar,
+    value: num,
+    unit,
+    label: escapeHtml(String(f.label).trim()),
+  };
+  if (hasPrior) metric.prior = prior;
+
+  // A free-text change only applies when there is no prior value to compute from
+  const change = f.change == null ? '' : String(f.change).trim();
+  if (!hasPrior && change) {
+    metric.note = escapeHtml(change);
+    // Infer direction from a signed change figure when not given
+    metric.dir = dirRaw || (/^[−-]/.test(change) ? 'down' : /^[+↑]/.test(change) ? 'up' : 'flat');
+  } else if (dirRaw) {
+    metric.dir = dirRaw;
+  }
+
+  // History: FY2019… columns in CSV, a `series` object in JSON
+  const series = {};
+  const rawSeries = f.series && typeof f.series === 'object' ? f.series : {};
+  Object.keys(f).forEach(k => { if (/^fy\d{4}$/i.test(k)) rawSeries[k.slice(2)] = f[k]; });
+  Object.keys(rawSeries).forEach(y => {
+    if (rawSeries[y] === '' || rawSeries[y] == null) return;
+    const v = toNumber(rawSeries[y]);
+    if (!/^\d{4}$/.test(y) || !Number.isFinite(v)) err('series', `History value for ${y} ("${rawSeries[y]}") is not a number.`);
+    else series[y] = v;
+  });
+  if (errors.length) return { errors };
+  if (Object.keys(series).length) metric.series = series;
+
+  const baselineYear = Number(f.baselineYear || f.baseline_year);
+  if (baselineYear) metric.baselineYear = baselineYear;
+  const target = f.target && typeof f.target === 'object'
+    ? f.target
+    : (f.target_year ? { year: f.target_year, value: f.target_value } : null);
+  if (target) {
+    const ty = Number(target.year), tv = target.value != null && target.value !== '' ? toNumber(target.value) : null;
+    if (!Number.isInteger(ty) || (tv == null && target.reduction == null) || (tv != null && !Number.isFinite(tv))) {
+      return { errors: [{ where: rec.where, field: 'target', message: 'Target needs a year and a numeric value.' }] };
+    }
+    metric.target = tv != null ? { year: ty, value: tv } : { year: ty, reduction: toNumber(target.reduction) };
+  }
+
+  // card = no keeps a row out of the data cards but available to the prose
+  const card = !/^(no|false|0)$/i.test(String(f.card == null ? '' : f.card).trim());
+  return { theme, metric, card };
+}
+
+/* Site-level data and roll-up rules from a JSON theme block
+   (section 1h). Malformed sites and rules are reported and dropped. */
+function validateSites(theme, extra, errors) {
+  if (extra.sites == null && extra.rollup == null) return {};
+  const err = (where, message) => errors.push({ where: `${theme}.${where}`, field: '', message });
+
+  const sites = [];
+  (Array.isArray(extra.sites) ? extra.sites : []).forEach((site, i) => {
+    if (!isObject(site) || site.id == null || site.id === '') return err(`sites[${i}]`, 'Each site needs an id.');
+    if (!isObject(site.data)) return err(`sites[${i}]`, `Site "${site.id}" has no data by year.`);
+    // Id (the fallback name), name, region and unit reach the narrative
+    // through {{scope}}, so they are escaped here like metric labels
+    const id = escapeHtml(String(site.id));
+    if (sites.some(s => s.id === id)) return err(`sites[${i}]`, `Duplicate site id "${site.id}".`);
+    sites.push({
+      id,
+      name: site.name != null ? escapeHtml(String(site.name)) : undefined,
+      region: site.region != null ? escapeHtml(String(site.region)) : undefined,
+      unit: site.unit != null ? escapeHtml(String(site.unit)) : undefined,
+      data: site.data,
+    });
+  });
+
+  const rollup = {};
+  Object.keys(isObject(extra.rollup) ? extra.rollup : {}).forEach(id => {
+    const r = extra.rollup[id];
+    const ok = isObject(r) && (r.count === true || typeof r.sum === 'string'
+      || (Array.isArray(r.ratio) && r.ratio.length === 2 && r.ratio.every(f => typeof f === 'string')));
+    if (ok) rollup[id] = r;
+    else err(`rollup.${id}`, 'Expected { sum: field }, { ratio: [numerator, denominator] } or { count: true }.');
+  });
+
+  if (!sites.length || !Object.keys(rollup).length) {
+    err('sites', 'Site data needs at least one site and one rollup rule — ignored.');
+    return {};
+  }
+  return { sites, rollup, siteNoun: typeof extra.siteNoun === 'string' ? extra.siteNoun : undefined };
+}
+
+/* "Total Scope 1 Emissions" → "totalScope1Emissions" */
+function slugify(label) {
+  const words = String(label).replace(/[^A-Za-z0-9 ]+/g, ' ').trim().split(/\s+/);
+  return words.map((w, i) => (i ? w[0].toUpperCase() + w.slice(1).toLowerCase() : w.toLowerCase())).join('') || 'metric';
+}
+
+/**
+ * Parse and validate an import file.
+ * @param {string} text   — file contents
+ * @param {string} format — 'csv' or 'json'
+ * @returns {{ profiles: Object, errors: Array, rowCount: number }}
+ */
+function importProfiles(text, format) {
+  let records, meta = {}, blockErrors = [];
+  try {
+    if (format === 'json') ({ records, meta, errors: blockErrors } = jsonToRecords(text));
+    else records = csvToRecords(text);
+  } catch (e) {
+    return { profiles: {}, errors: [{ where: 'File', field: '', message: e.message }], rowCount: 0 };
+  }
+
+  const errors = blockErrors.slice();
+  const byTheme = {};
+
+  records.forEach(rec => {
+    const result = validateRecord(rec);
+    if (result.errors) { errors.push(...result.errors); return; }
+    const bucket = byTheme[result.theme] = byTheme[result.theme] || { keyMetrics: [], supportingMetrics: [] };
+    const seen = bucket.keyMetrics.concat(bucket.supportingMetrics).some(m => m.id === result.metric.id);
+    if (seen) {
+      errors.push({ where: rec.where, field: 'id', message: `Duplicate metric id "${result.metric.id}" for theme ${result.theme}.` });
+      return;
+    }
+    bucket[result.card ? 'keyMetrics' : 'supportingMetrics'].push(result.metric);
+  });
+
+  const profiles = {};
+  Object.keys(byTheme).forEach(theme => {
+    const base = DATA_PROFILES[theme];
+    const { keyMetrics, supportingMetrics } = byTheme[theme];
+    const extra = meta[theme] || {};
+    const year = Number(extra.reportingYear);
+    profiles[theme] = {
+      reportingYear: Number.isInteger(year) ? year : base.reportingYear,
+      frameworks: Array.isArray(extra.frameworks) && extra.frameworks.length ? extra.frameworks.map(escapeHtml) : THEMES[theme].frameworks,
+      keyMetrics,
+      supportingMetrics,
+      dataAsOf:   typeof extra.dataAsOf === 'string' ? extra.dataAsOf : undefined,
+      assurance:  extra.assurance && Number.isFinite(Number(extra.assurance.coverage))
+        ? { coverage: Number(extra.assurance.coverage), level: extra.assurance.level, standard: extra.assurance.standard }
+        : undefined,
+      audience:   extra.audience || 'Imported Data · Internal Draft',
+      // Emissions activity data, calculated by applyEmissions()
+      activity:   extra.activity && typeof extra.activity === 'object' && !Array.isArray(extra.activity) ? extra.activity : undefined,
+      imported:   true,
+    };
+    Object.assign(profiles[theme], validateSites(theme, extra, errors));
+  });
+
+  return { profiles, errors, rowCount: records.length };
+}
+
+/* Imported profiles for this session, keyed by theme */
+function getImportedProfiles() {
+  try {
+    return JSON.parse(sessionStorage.getItem('esg_imported')) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/* The profile to render for a theme — imported data wins */
+function getProfile(topic) {
+  return getImportedProfiles()[topic] || DATA_PROFILES[topic];
+}
+
+/* Wire the file input and results panel on index.html */
+function initImportPanel() {
+  const input = document.getElementById('importFile');
+  const results = document.getElementById('importResults');
+  if (!input || !results) return;
+
+  const render = (summary, errors) => {
+    const imported = getImportedProfiles();
+    const themes = Object.keys(imported);
+
+    const errorHtml = errors.length ? `
+      <div class="import-errors" role="alert">
+        <div class="import-errors-title">${errors.length} row error${errors.length === 1 ? '' : 's'} — these rows were skipped</div>
+        <ul>${errors.map(e => `<li><span class="import-where">${escapeHtml(e.where)}${e.field ? ` · ${escapeHtml(e.field)}` : ''}</span> ${escapeHtml(e.message)}</li>`).join('')}</ul>
+      </div>` : '';
+
+    const themeHtml = themes.length ? `
+      <div class="import-themes">
+        ${themes.map(t => `
+          <button type="button" class="import-theme-btn ${THEMES[t].colorClass}" data-import-topic="${t}">
+            ${THEMES[t].icon} ${THEMES[t].name} · ${imported[t].keyMetrics.length} metrics <span class="tc-arrow">→</span>
+          </button>`).join('')}
+        <button type="button" class="import-clear-btn" id="importClear">Clear imported data</button>
+      </div>` : '';
+
+    results.innerHTML = (summary ? `<div class="import-summary">${summary}</div>` : '') + errorHtml + themeHtml;
+
+    results.querySelectorAll('[data-import-topic]').forEach(btn => {
+      btn.addEventListener('click', () => launchNarrative(btn.getAttribute('data-import-topic')));
+    });
+    const clear = document.getElementById('importClear');
+    if (clear) {
+      clear.addEventListener('click', () => {
+        sessionStorage.removeItem('esg_imported');
+        input.value = '';
+        render('', []);
+      });
+    }
+  };
+
+  input.addEventListener('change', () => {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    const format = /\.json$/i.test(file.name) ? 'json' : 'csv';
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const { profiles, errors, rowCount } = importProfiles(String(reader.result), format);
+        const merged = Object.assign(getImportedProfiles(), profiles);
+        sessionStorage.setItem('esg_imported', JSON.stringify(merged));
+
+        const accepted = Object.values(profiles).reduce((n, p) => n + p.keyMetrics.length + p.supportingMetrics.length, 0);
+        render(`${escapeHtml(file.name)}: ${accepted} of ${rowCount} rows imported into ${Object.keys(profiles).length} theme(s).`, errors);
+      } catch (e) {
+        // Anything validation missed still reaches the user, not just the console
+        render('', [{ where: 'File', field: '', message: `The file could not be imported — ${e.message}` }]);
+      }
+    };
+    reader.onerror = () => render('', [{ where: 'File', field: '', message: 'The file could not be read.' }]);
+    reader.readAsText(file);
+  });
+
+  render('', []);
+}
+
+/* ══════════════════════════════════════════════════════════
+   6. REPORT EXPORT — Markdown, JSON bundle, tagged XML
+   All exporters take the report object from buildReport(),
+   the same one initGeneratePage() renders.
+══════════════════════════════════════════════════════════ */
+
+/* Metric id → ESRS and ISSB (IFRS S2) taxonomy elements with
+   the disclosure requirement each one answers. Metrics without
+   an entry are exported as company-specific cx: extensions. */
+const DATAPOINT_TAGS = {
+  scope1:          { esrs: 'esrs:GrossScope1GreenhouseGasEmissions',              esrsRef: 'E1-6 §44(a)', issb: 'ifrs-sust:GrossScope1GreenhouseGasEmissions',             issbRef: 'S2 29(a)(i)(1)' },
+  scope2:          { esrs: 'esrs:GrossMarketBasedScope2GreenhouseGasEmissions',   esrsRef: 'E1-6 §44(b)' },
+  scope2Location:  { esrs: 'esrs:GrossLocationBasedScope2GreenhouseGasEmissions', esrsRef: 'E1-6 §44(b)', issb: 'ifrs-sust:GrossLocationBasedScope2GreenhouseGasEmissions', issbRef: 'S2 29(a)(i)(2)' },
+  scope3:          { esrs: 'esrs:GrossScope3GreenhouseGasEmissions',              esrsRef: 'E1-6 §44(c)', issb: 'ifrs-sust:GrossScope3GreenhouseGasEmissions',             issbRef: 'S2 29(a)(i)(3)' },
+  ghgIntensity:    { esrs: 'esrs:GHGEmissionsIntensityPerNetRevenue',             esrsRef: 'E1-6 §53' },
+  netZeroYear:     { esrs: 'esrs:TargetYearForNetZero',                           esrsRef: 'E1-4 §34',    issb: 'ifrs-sust:ClimateRelatedTargetPeriod',                     issbRef: 'S2 33(d)' },
+  greenCapex:      { esrs: 'esrs:CapitalExpenditureInTransitionPlan',             esrsRef: 'E1-1 §16(c)', issb: 'ifrs-sust:CapitalDeploymentTowardsClimateRelatedOpportunities', issbRef: 'S2 29(e)' },
+  etsPrice:        { esrs: 'esrs:CarbonPriceAppliedPerTonne',                     esrsRef: 'E1-8 §63',    issb: 'ifrs-sust:InternalCarbonPricePerMetricTonne',             issbRef: 'S2 29(f)(ii)' },
+  carbonCredits:   { esrs: 'esrs:CarbonCreditsCancelledInReportingPeriod',        esrsRef: 'E1-7 §56' },
+  energyTotal:     { esrs: 'esrs:TotalEnergyConsumptionFromOwnOperations',        esrsRef: 'E1-5 §37' },
+  renewableShare:  { esrs: 'esrs:PercentageOfRenewableSourcesInTotalEnergyConsumption', esrsRef: 'E1-5 §37(c)' },
+  waterWithdrawal: { esrs: 'esrs:TotalWaterWithdrawals',                          esrsRef: 'E3-4 §28' },
+  waterRecycled:   { esrs: 'esrs:TotalWaterRecycledAndReused',                    esrsRef: 'E3-4 §28(d)' },
+  hazardousWaste:  { esrs: 'esrs:HazardousWasteGenerated',                        esrsRef: 'E5-5 §39' },
+  wasteDiversion:  { esrs: 'esrs:PercentageOfNonRecycledWaste',                   esrsRef: 'E5-5 §37(d)', invert: true },
+  circularInput:   { esrs: 'esrs:PercentageOfSecondaryReusedOrRecycledComponentsAndMaterials', esrsRef: 'E5-4 §31(c)' },
+  trir:            { esrs: 'esrs:RateOfRecordableWorkRelatedAccidents',           esrsRef: 'S1-14 §88(c)' },
+};
+
+/* Report units → XBRL unit ids, measures and value scaling */
+const XBRL_UNITS = {
+  'tCO₂e':     { id: 'tCO2e',  measure: 'utr:tCO2e' },
+  'ktCO₂e':    { id: 'tCO2e',  measure: 'utr:tCO2e', scale: 1e3 },
+  'tCO₂e/MWh': { id: 'tCO2ePerMWh', measure: 'utr:tCO2e', divide: 'utr:MWh' },
+  'GWh':       { id: 'MWh',    measure: 'utr:MWh', scale: 1e3 },
+  'MWh':       { id: 'MWh',    measure: 'utr:MWh' },
+  'kWh':       { id: 'MWh',    measure: 'utr:MWh', scale: 1e-3 },
+  'MWh/t':     { id: 'MWhPerT', measure: 'utr:MWh', divide: 'utr:t' },
+  'MWp':       { id: 'MW',     measure: 'utr:MW' },
+  'm³':        { id: 'm3',     measure: 'utr:m3' },
+  'Mm³':       { id: 'm3',     measure: 'utr:m3', scale: 1e6 },
+  't':         { id: 't',      measure: 'utr:t' },
+  '%':         { id: 'pure',   measure: 'xbrli:pure', scale: 0.01 },
+  '€':         { id: 'EUR',    measure: 'iso4217:EUR' },
+  '€M':        { id: 'EUR',    measure: 'iso4217:EUR', scale: 1e6 },
+  '°C':        { id: 'degC',   measure: 'utr:Cel' },
+  's':         { id: 's',      measure: 'utr:s' },
+  'h':         { id: 'h',      measure: 'utr:h' },
+  'days':      { id: 'd',      measure: 'utr:d' },
+  'ha':        { id: 'ha',     measure: 'utr:ha' },
+  'year':      { id: 'pure',   measure: 'xbrli:pure' },
+  'count':     { id: 'pure',   measure: 'xbrli:pure' },
+  'rate':      { id: 'pure',   measure: 'xbrli:pure' },
+};
+
+/* Inline narrative HTML → plain text */
+function htmlToText(html) {
+  return String(html)
+    .replace(/<[^>]+>/g, '')
+    .replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/* Inline narrative HTML → Markdown (bold survives, spans do not) */
+function htmlToMarkdown(html) {
+  return htmlToText(String(html).replace(/<\/?strong>/g, '**'));
+}
+
+function escapeXml(str) {
+  return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+/* Comment text may not contain "--", so imported labels can't break out of the comment */
+function xmlComment(str) {
+  return `<!-- ${escapeXml(str).replace(/-(?=-)/g, '- ')} -->`;
+}
+
+/* Every metric in the report, cards first, with computed fields */
+function reportMetrics(report) {
+  const ctx = report.narrative.context;
+  const cards = report.narrative.metrics.map(m => m.id);
+  return Object.values(ctx).map(m => ({
+    id:     m.id,
+    label:  htmlToText(m.label || m.id),
+    pillar: m.pillar || null,
+    value:  m.value,
+    unit:   m.unit,
+    prior:  m.prior != null ? m.prior : null,
+    change: m.changeSigned || null,
+    dir:    m.dir,
+    card:   cards.includes(m.id),
+    derived: Boolean(m.derived),
+    series:  m.series || null,
+    baselineYear: m.baselineYear || null,
+    target:  m.target || null,
+    onTrack: assessTrajectory(m) ? assessTrajectory(m).onTrack : null,
+    tags:   DATAPOINT_TAGS[m.id] || null,
+  })).sort((a, b) => Number(b.card) - Number(a.card));
+}
+
+function exportMarkdown(report) {
+  const n = report.narrative;
+  const lines = [
+    `# ${report.title}`,
+    '',
+    `_${report.subtitle}_`,
+    '',
+    `**Theme:** ${report.theme.name}${report.scope && report.scope.kind !== 'group' ? ` · **Scope:** ${htmlToText(report.scope.label)}` : ''} · **Audience:** ${report.audience} · **Date:** ${report.date} · **Narrative Integrity:** ${report.integrity.score}%`,
+    '',
+    '## Key Data Points',
+    '',
+    '| Pillar | Metric | Value | Change |',
+    '| --- | --- | --- | --- |',
+    ...n.metrics.map(m => `| ${m.pillar} | ${htmlToText(m.label)} | ${m.value}${m.unit} | ${htmlToText(m.change)} |`),
+    '',
+    '## Narrative',
+    '',
+  ];
+
+  n.paragraphs.forEach((p, i) => {
+    lines.push(htmlToMarkdown(p), '');
+    if (i === 1 && n.pullQuote) lines.push(`> "${htmlToText(n.pullQuote)}"`, '');
+  });
+
+  const trended = Object.values(n.context).filter(m => assessTrajectory(m));
+  if (trended.length) {
+    lines.push('## Trends Against Targets', '', '| Metric | Start | Latest | Target | Status |', '| --- | --- | --- | --- | --- |');
+    trended.forEach(m => {
+      const t = assessTrajectory(m);
+      const q = v => formatQuantity(Math.round(v * 100) / 100, m.unit, 'text');
+      lines.push(`| ${htmlToText(m.label)} | FY${t.start[0]}: ${q(t.start[1])} | FY${t.latest[0]}: ${q(t.latest[1])} | ${t.label} | ${t.onTrack ? 'On track' : 'Off track'} |`);
+    });
+    lines.push('');
+  }
+
+  const bd = report.breakdown;
+  if (bd) {
+    lines.push(`## Site Breakdown (FY${bd.year}, change vs FY${bd.year - 1})`, '',
+      `| Site | ${bd.columns.map(c => `${htmlToText(c.label)}${unitLabel(c.unit) ? ` (${unitLabel(c.unit)})` : ''}`).join(' | ')} |`,
+      `| --- |${bd.columns.map(() => ' --- |').join('')}`);
+    bd.rows.forEach(r => {
+      const cells = bd.columns.map(c => {
+        const cell = r.cells[c.id];
+        return cell ? `${cell.value}${cell.change ? ` (${cell.change})` : ''}` : '—';
+      });
+      const label = r.kind === 'site' ? r.label : `**${r.label}**`;
+      lines.push(`| ${label} | ${cells.join(' | ')} |`);
+    });
+    lines.push('');
+  }
+
+  lines.push('## Framework Alignment', '');
+  report.frameworks.forEach(f => {
+    lines.push(`- **${htmlToText(f.name)}** — ${f.label}`);
+    f.missing.forEach(r => lines.push(`  - Missing: ${f.key} ${r.ref} ${r.label}`));
+  });
+
+  lines.push('', '## Narrative Integrity Checks', '');
+  report.integrity.checks.forEach(c => {
+    lines.push(`- [${c.passed ? 'x' : ' '}] ${c.label} — ${Math.round(c.weight * c.score)}/${c.weight} pts (${c.detail})`);
+  });
+
+  const claims = report.claims;
+  if (claims) {
+    lines.push('', '## Claim Check', '');
+    if (!claims.findings.length) lines.push('No unsubstantiated claims found.');
+    claims.findings.forEach(f => {
+      const cat = CLAIM_CATEGORIES[f.category];
+      lines.push(`- **${f.severity}** “${f.text}” — ${f.message} (${cat.label}; ESMA: ${cat.esma}; ${cat.ref})`);
+    });
+  }
+
+  const em = report.emissions;
+  if (em) {
+    lines.push('', `## Appendix — Emission Factors (v${em.version}, FY${em.year})`, '',
+      '| Scope | Activity | Quantity | Factor | tCO₂e |', '| --- | --- | --- | --- | --- |');
+    em.lines.forEach(l => {
+      const f = em.factors.find(x => x.id === l.factor);
+      lines.push(`| ${l.scope}${l.category ? ` · Cat. ${l.category}` : ''} | ${htmlToText(l.activity)}${l.detail ? ` (${htmlToText(l.detail)})` : ''} | ${formatNumber(Math.round(l.quantity), 'count')} ${l.unit} | ${f.value} ${f.unit} | ${formatNumber(Math.round(l.tCO2e), 'count')} |`);
+    });
+    lines.push('', 'Sources:', ...Array.from(new Set(em.factors.map(f => f.source))).map(src => `- ${src}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function exportJson(report) {
+  const n = report.narrative;
+  return JSON.stringify({
+    schema:        'climactix.esg-report/1',
+    generatedAt:   report.generatedAt,
+    topic:         report.topic,
+    theme:         report.theme.name,
+    title:         report.title,
+    subtitle:      report.subtitle,
+    audience:      report.audience,
+    audienceKey:   report.audienceKey,
+    reportingYear: report.reportingYear,
+    scope:         report.scope || null,
+    metrics:       reportMetrics(report),
+    narrative: {
+      paragraphs:     n.paragraphs.map(htmlToText),
+      paragraphsHtml: n.paragraphs,
+      pullQuote:      n.pullQuote ? htmlToText(n.pullQuote) : null,
+    },
+    frameworks: report.frameworks.map(f => ({
+      name: htmlToText(f.name), catalogue: f.key, status: f.status, met: f.met, total: f.total,
+      missing: f.missing.map(r => ({ ref: r.ref, label: r.label })),
+    })),
+    integrity: report.integrity,
+    claims:    report.claims || null,
+    emissions: report.emissions || null,
+    breakdown: report.breakdown || null,
+  }, null, 2) + '\n';
+}
+
+/* XBRL-style instance: one fact per metric per tagged taxonomy,
+   current and prior period contexts, units declared once */
+function exportTagged(report) {
+  const year = report.reportingYear || new Date().getFullYear();
+  const ctxId = y => `FY${y}`;
+  const usedUnits = {};
+  const facts = [];
+
+  reportMetrics(report).forEach(m => {
+    const unit = XBRL_UNITS[m.unit] || XBRL_UNITS.rate;
+    usedUnits[unit.id] = unit;
+    const scale = v => Math.round(v * (unit.scale || 1) * 1e6) / 1e6;
+    const tags = m.tags || {};
+    // Non-recycled waste is the complement of the diversion rate
+    const val = v => scale(tags.invert ? 100 - v : v);
+    const elements = [tags.esrs, tags.issb].filter(Boolean);
+    if (!elements.length) elements.push(`cx:${m.id}`);
+
+    elements.forEach(el => {
+      const ref = el === tags.esrs ? tags.esrsRef : el === tags.issb ? tags.issbRef : null;
+      const attrs = `unitRef="${unit.id}" decimals="INF"`;
+      facts.push(`  ${xmlComment(m.label + (ref ? ` · ${ref}` : ''))}`);
+      facts.push(`  <${el} contextRef="${ctxId(year)}" ${attrs}>${val(m.value)}</${el}>`);
+      if (m.prior != null) facts.push(`  <${el} contextRef="${ctxId(year - 1)}" ${attrs}>${val(m.prior)}</${el}>`);
+    });
+  });
+
+  const context = y => `  <xbrli:context id="${ctxId(y)}">
+    <xbrli:entity><xbrli:identifier scheme="https://climactix.global/entity">REPORTING-ENTITY</xbrli:identifier></xbrli:entity>
+    <xbrli:period><xbrli:startDate>${y}-01-01</xbrli:startDate><xbrli:endDate>${y}-12-31</xbrli:endDate></xbrli:period>
+  </xbrli:context>`;
+
+  const units = Object.values(usedUnits).map(u => u.divide
+    ? `  <xbrli:unit id="${u.id}"><xbrli:divide><xbrli:unitNumerator><xbrli:measure>${u.measure}</xbrli:measure></xbrli:unitNumerator><xbrli:unitDenominator><xbrli:measure>${u.divide}</xbrli:measure></xbrli:unitDenominator></xbrli:divide></xbrli:unit>`
+    : `  <xbrli:unit id="${u.id}"><xbrli:measure>${u.measure}</xbrli:measure></xbrli:unit>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+${xmlComment(`${report.title} — generated ${report.generatedAt}`)}
+<xbrli:xbrl
+  xmlns:xbrli="http://www.xbrl.org/2003/instance"
+  xmlns:iso4217="http://www.xbrl.org/2003/iso4217"
+  xmlns:utr="http://www.xbrl.org/2009/utr"
+  xmlns:esrs="https://xbrl.efrag.org/taxonomy/esrs/2023-12-22"
+  xmlns:ifrs-sust="https://xbrl.ifrs.org/taxonomy/2024-04-26/ifrs-sust"
+  xmlns:cx="https://climactix.global/taxonomy/esg-report">
+${context(year)}
+${context(year - 1)}
+${units.join('\n')}
+${facts.join('\n')}
+</xbrli:xbrl>
+`;
+}
+
+/* Hand a generated file to the browser as a download */
+function downloadFile(filename, mime, content) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/* Dispatch one of the export-menu formats */
+function exportReport(report, format) {
+  const part = report.scope && report.scope.kind !== 'group' ? `-${report.scope.key.replace(/[^A-Za-z0-9]+/g, '-')}` : '';
+  const base = `esg-${report.topic}${part}-${report.audienceKey}-FY${report.reportingYear || ''}`;
+  if (format === 'pdf')  window.print();
+  if (format === 'md')   downloadFile(`${base}.md`, 'text/markdown', exportMarkdown(report));
+  if (format === 'json') downloadFile(`${base}.json`, 'application/json', exportJson(report));
+  if (format === 'xbrl') downloadFile(`${base}.xbrl.xml`, 'application/xml', exportTagged(report));
+}
+
+/* ══════════════════════════════════════════════════════════
+   7. DRAFTS — editable workspace, saved versions & diff
+   Edits made on generate.html are read back from the page into
+   a copy of the report. Saving appends that copy to a draft in
+   localStorage as a new version. Each version holds the whole
+   report, so reopening a draft shows exactly what was saved and
+   nothing is rebuilt from DATA_PROFILES. The diff view compares
+   versions word by word.
+══════════════════════════════════════════════════════════ */
+
+const DRAFTS_KEY = 'esg_drafts';
+const DRAFT_MAX_VERSIONS = 20;
+
+/* Inline markup kept in edited prose; everything else is stripped */
+const EDIT_TAGS = { strong: 'strong', b: 'strong', em: 'em', i: 'em' };
+
+function getDrafts() {
+  try {
+    return JSON.parse(localStorage.getItem(DRAFTS_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function getDraft(id) {
+  return id ? getDrafts().find(d => d.id === id) || null : null;
+}
+
+function deleteDraft(id) {
+  localStorage.setItem(DRAFTS_KEY, JSON.stringify(getDrafts().filter(d => d.id !== id)));
+}
+
+/* contenteditable HTML → the inline markup the templates produce */
+function sanitizeEditedHtml(html) {
+  const spans = [];
+  return String(html)
+    .replace(/<br\s*\/?>|<\/(?:div|p)>/gi, ' ')
+    .replace(/<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi, (tag, close, name, attrs) => {
+      name = name.toLowerCase();
+      // Highlight spans survive; a closing tag follows its opening tag's fate
+      if (name === 'span') {
+        if (close) return spans.pop() ? '</span>' : '';
+        const cls = /class="(highlight-[esg])"/.exec(attrs);
+        spans.push(Boolean(cls));
+        return cls ? `<span class="${cls[1]}">` : '';
+      }
+      return EDIT_TAGS[name] ? `<${close}${EDIT_TAGS[name]}>` : '';
+    })
+    .replace(/&nbsp;|\u00a0/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/* Copy of the report with the edits currently on the page */
+function applyEdits(report) {
+  const edited = JSON.parse(JSON.stringify(report));
+  const n = edited.narrative;
+  const text = el => el.textContent.replace(/\s+/g, ' ').trim();
+
+  const title = document.getElementById('reportTitle');
+  const subtitle = document.getElementById('reportSubtitle');
+  if (title) edited.title = text(title);
+  if (subtitle) edited.subtitle = text(subtitle);
+
+  // Card fields are HTML strings elsewhere in the report, so re-escape
+  document.querySelectorAll('#dataCardsGrid [data-card]').forEach(card => {
+    const m = n.metrics[Number(card.getAttribute('data-card'))];
+    if (!m) return;
+    ['value', 'label', 'change'].forEach(field => {
+      const el = card.querySelector(`[data-edit="${field}"]`);
+      if (el) m[field] = escapeHtml(text(el));
+    });
+  });
+
+  const paras = document.querySelectorAll('#narrativeBody [data-edit="paragraph"]');
+  if (paras.length) n.paragraphs = Array.from(paras).map(p => sanitizeEditedHtml(p.innerHTML)).filter(Boolean);
+  const quote = document.querySelector('#narrativeBody [data-edit="pullQuote"]');
+  if (quote) n.pullQuote = sanitizeEditedHtml(quote.innerHTML) || null;
+
+  // Edited prose may add or drop figures and claims: re-run the prose checks only
+  const basis = { reportingYear: edited.reportingYear, scope: edited.scope };
+  const results = {};
+  edited.integrity.checks.forEach(c => { results[c.id] = { score: c.score, detail: c.detail }; });
+  results.trace = traceCheck(n, basis);
+  edited.integrity = tallyChecks(results);
+  edited.claims = lintNarrative(n, basis);
+  edited.edited = true;
+  return edited;
+}
+
+/* The report as labelled blocks of plain text, for diffing */
+function reportBlocks(report) {
+  const n = report.narrative;
+  return [
+    { key: 'title',    label: 'Title',    text: report.title },
+    { key: 'subtitle', label: 'Subtitle', text: report.subtitle },
+  ].concat(
+    n.metrics.map(m => ({
+      key:   `card:${m.id}`,
+      label: `Card · ${htmlToText(m.label)}`,
+      text:  `${htmlToText(m.value)}${m.unit ? ` ${m.unit}` : ''} · ${htmlToText(m.label)} · ${htmlToText(m.change)}`,
+    })),
+    n.paragraphs.map((p, i) => ({ key: `p${i}`, label: `Paragraph ${i + 1}`, text: htmlToText(p) })),
+    n.pullQuote ? [{ key: 'pullQuote', label: 'Pull quote', text: htmlToText(n.pullQuote) }] : []
+  );
+}
+
+/**
+ * Word-level diff via longest common subsequence.
+ * @returns {Array<{ op: 'same'|'add'|'del', text: string }>} runs of words
+ */
+function diffWords(a, b) {
+  const x = String(a).match(/\S+/g) || [];
+  const y = String(b).match(/\S+/g) || [];
+  const lcs = Array.from({ length: x.length + 1 }, () => new Uint16Array(y.length + 1));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (op, word) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) { last.text += ` ${word}`; last.words++; }
+    else ops.push({ op, text: word, words: 1 });
+  };
+  let i = 0, j = 0;
+  while (i < x.length && j < y.length) {
+    if (x[i] === y[j]) { push('same', x[i]); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) push('del', x[i++]);
+    else push('add', y[j++]);
+  }
+  while (i < x.length) push('del', x[i++]);
+  while (j < y.length) push('add', y[j++]);
+  return ops;
+}
+
+/* Block-by-block diff of two reports, plus word counts */
+function diffReports(older, newer) {
+  const before = reportBlocks(older);
+  const after  = reportBlocks(newer);
+  const keys = after.map(b => b.key).concat(before.map(b => b.key).filter(k => !after.some(b => b.key === k)));
+
+  const blocks = keys.map(key => {
+    const a = before.find(b => b.key === key);
+    const b = after.find(x => x.key === key);
+    const ops = diffWords(a ? a.text : '', b ? b.text : '');
+    return { key, label: (b || a).label, ops, changed: ops.some(o => o.op !== 'same') };
+  });
+  const count = op => blocks.reduce((sum, b) => sum + b.ops.filter(o => o.op === op).reduce((s, o) => s + o.words, 0), 0);
+  return { blocks, added: count('add'), removed: count('del') };
+}
+
+/**
+ * Save a report as the next version of a draft, creating the draft
+ * when `draftId` is unknown. `origin` — a freshly generated report
+ * the edits started from — is recorded first, so the history shows
+ * what the analyst changed. Throws when localStorage is full.
+ * @returns {{ draft, version }} — version is null if nothing changed
+ */
+function saveDraft(report, draftId, label, origin) {
+  const drafts = getDrafts();
+  let draft = drafts.find(d => d.id === draftId);
+  if (!draft) {
+    draft = { id: `d${Date.now().toString(36)}`, createdAt: new Date().toISOString(), versions: [] };
+    drafts.unshift(draft);
+  }
+
+  const add = (r, versionLabel) => {
+    const last = draft.versions[draft.versions.length - 1];
+    const diff = last ? diffReports(last.report, r) : { added: 0, removed: 0 };
+    if (last && !diff.added && !diff.removed) return null;
+    const version = {
+      n:       last ? last.n + 1 : 1,
+      savedAt: new Date().toISOString(),
+      label:   versionLabel,
+      added:   diff.added,
+      removed: diff.removed,
+      report:  r,
+    };
+    draft.versions.push(version);
+    return version;
+  };
+
+  const generated = origin ? add(origin, `Generated · ${(AUDIENCE_VARIANTS[origin.audienceKey] || AUDIENCE_VARIANTS.standard).label}`) : null;
+  const version = add(report, label) || generated;
+
+  draft.versions = draft.versions.slice(-DRAFT_MAX_VERSIONS);
+  Object.assign(draft, {
+    topic:       report.topic,
+    title:       report.title,
+    theme:       report.theme,
+    audienceKey: report.audienceKey,
+    updatedAt:   new Date().toISOString(),
+  });
+  localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+  return { draft, version };
+}
+
+function formatSavedAt(iso) {
+  return new Date(iso).toLocaleString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/* Toggle contenteditable on every field renderReport() marked */
+function setEditable(on) {
+  const doc = document.querySelector('.report-doc');
+  if (doc) doc.classList.toggle('editing', on);
+  document.querySelectorAll('.report-doc [data-edit], #reportTitle, #reportSubtitle').forEach(el => {
+    if (on) el.setAttribute('contenteditable', 'true');
+    else el.removeAttribute('contenteditable');
+  });
+}
+
+/* Show a word-level diff in the modal on generate.html */
+function openDiff(title, diff) {
+  const dialog = document.getElementById('diffDialog');
+  const body   = document.getElementById('diffBody');
+  if (!dialog || !body) return;
+
+  document.getElementById('diffTitle').textContent = title;
+  const changed = diff.blocks.filter(b => b.changed);
+  body.innerHTML = changed.length ? `
+    <div class="diff-summary">+${diff.added} / −${diff.removed} words in ${changed.length} block${changed.length === 1 ? '' : 's'}</div>
+    ${changed.map(b => `
+      <div class="diff-block">
+        <div class="diff-label">${escapeHtml(b.label)}</div>
+        <p>${b.ops.map(o => o.op === 'same' ? escapeHtml(o.text)
+          : o.op === 'add' ? `<ins>${escapeHtml(o.text)}</ins>` : `<del>${escapeHtml(o.text)}</del>`).join(' ')}</p>
+      </div>`).join('')}`
+    : '<p class="diff-summary">No text changes between these versions.</p>';
+
+  if (dialog.showModal) dialog.showModal();
+  else dialog.setAttribute('open', '');
+}
+
+/* Wire edit toggle, save, history and diff on generate.html */
+function initWorkspace(ws, show) {
+  const doc     = document.querySelector('.report-doc');
+  const editBtn = document.getElementById('editToggle');
+  const saveBtn = document.getElementById('saveDraftBtn');
+  const status  = document.getElementById('draftStatus');
+  const history = document.getElementById('draftHistory');
+  if (!doc || !editBtn || !saveBtn) return;
+
+  const setStatus = text => { if (status) status.textContent = text; };
+
+  const renderHistory = () => {
+    if (!history) return;
+    const draft = getDraft(ws.draftId);
+    if (!draft) {
+      history.innerHTML = '<div class="draft-empty">Not saved yet. Edit the report, then Save Draft to start a version history.</div>';
+      return;
+    }
+    const versions = draft.versions;
+    history.innerHTML = `
+      <div class="draft-version current" role="listitem">
+        <div>Working copy<div class="draft-meta">${ws.dirty || ws.origin ? 'Unsaved changes' : `Same as v${versions[versions.length - 1].n}`}</div></div>
+        <div class="draft-actions"><button type="button" data-diff="current">Diff</button></div>
+      </div>
+      ${versions.slice().reverse().map((v, i) => `
+        <div class="draft-version" role="listitem">
+          <div>
+            <span class="draft-v">v${v.n}</span> ${escapeHtml(v.label)}
+            <div class="draft-meta">${formatSavedAt(v.savedAt)}${i < versions.length - 1 ? ` · +${v.added} −${v.removed} words` : ''}</div>
+          </div>
+          <div class="draft-actions">
+            ${i < versions.length - 1 ? `<button type="button" data-diff="${v.n}">Diff</button>` : ''}
+            <button type="button" data-restore="${v.n}">Restore</button>
+          </div>
+        </div>`).join('')}
+    `;
+  };
+
+  const markDirty = label => {
+    ws.dirty = true;
+    ws.label = label;
+    renderHistory();
+  };
+
+  editBtn.addEventListener('click', () => {
+    ws.editing = !ws.editing;
+    setEditable(ws.editing);
+    editBtn.setAttribute('aria-pressed', String(ws.editing));
+    editBtn.textContent = ws.editing ? '✓ Done Editing' : '✎ Edit';
+  });
+
+  doc.addEventListener('input', e => {
+    if (!e.target.closest('[contenteditable]')) return;
+    if (!ws.dirty) markDirty('Edited');
+    setStatus('Unsaved changes');
+  });
+
+  // Only paragraphs take a new line; Enter elsewhere ends the edit
+  doc.addEventListener('keydown', e => {
+    const field = e.target.closest && e.target.closest('[contenteditable]');
+    if (field && e.key === 'Enter' && field.getAttribute('data-edit') !== 'paragraph') {
+      e.preventDefault();
+      field.blur();
+    }
+  });
+
+  saveBtn.addEventListener('click', () => {
+    const report = ws.dirty ? applyEdits(ws.report) : ws.report;
+    let result;
+    try {
+      result = saveDraft(report, ws.draftId, ws.label, ws.origin);
+    } catch (err) {
+      setStatus('Not saved — browser storage is full. Delete old drafts on the homepage.');
+      return;
+    }
+    Object.assign(ws, { draftId: result.draft.id, origin: null, dirty: false, label: 'Edited' });
+    sessionStorage.setItem('esg_draft', ws.draftId);
+    show(report);
+    setStatus(result.version ? `Saved as v${result.version.n}` : 'No changes since the last version');
+    renderHistory();
+  });
+
+  if (history) {
+    history.addEventListener('click', e => {
+      const btn = e.target.closest('button');
+      const draft = btn && getDraft(ws.draftId);
+      if (!draft) return;
+      const versions = draft.versions;
+      const latest = versions[versions.length - 1];
+
+      if (btn.getAttribute('data-diff') === 'current') {
+        openDiff(`v${latest.n} → working copy`, diffReports(latest.report, ws.dirty ? applyEdits(ws.report) : ws.report));
+        return;
+      }
+      const n = Number(btn.getAttribute('data-diff') || btn.getAttribute('data-restore'));
+      const idx = versions.findIndex(v => v.n === n);
+      if (idx < 0) return;
+
+      if (btn.hasAttribute('data-diff')) {
+        openDiff(`v${versions[idx - 1].n} → v${n}`, diffReports(versions[idx - 1].report, versions[idx].report));
+      } else {
+        if (ws.dirty && !window.confirm(`Replace unsaved edits with v${n}?`)) return;
+        ws.origin = null;
+        show(versions[idx].report);
+        const select = document.getElementById('audienceSelect');
+        if (select) select.value = ws.report.audienceKey;
+        const scopeSelect = document.getElementById('scopeSelect');
+        if (scopeSelect) scopeSelect.value = ws.report.scope ? ws.report.scope.key : 'group';
+        if (idx === versions.length - 1) {
+          ws.dirty = false;
+          renderHistory();
+        } else {
+          markDirty(`Restored from v${n}`);
+        }
+        setStatus(idx === versions.length - 1 ? `Showing v${n}` : `Showing v${n} — save to make it the latest version`);
+      }
+    });
+  }
+
+  const dialog = document.getElementById('diffDialog');
+  const close  = document.getElementById('diffClose');
+  if (dialog && close) {
+    close.addEventListener('click', () => (dialog.close ? dialog.close() : dialog.removeAttribute('open')));
+  }
+
+  // Fresh reports and audience or scope switches aren't in the history yet
+  ['audienceSelect', 'scopeSelect'].forEach(id => {
+    const select = document.getElementById(id);
+    if (select) select.addEventListener('change', () => { setStatus(''); renderHistory(); });
+  });
+
+  window.addEventListener('beforeunload', e => {
+    if (!ws.dirty) return;
+    e.preventDefault();
+    e.returnValue = '';
+  });
+
+  const draft = getDraft(ws.draftId);
+  if (draft) setStatus(`Draft · v${draft.versions[draft.versions.length - 1].n} of ${draft.versions.length} saved`);
+  renderHistory();
+}
+
+/* Homepage list of saved drafts — reopen or delete */
+function initDraftsPanel() {
+  const panel = document.getElementById('draftsPanel');
+  const list  = document.getElementById('draftList');
+  if (!panel || !list) return;
+
+  const render = () => {
+    const drafts = getDrafts();
+    panel.hidden = !drafts.length;
+    list.innerHTML = drafts.map(d => {
+      const latest = d.versions[d.versions.length - 1];
+      const audience = AUDIENCE_VARIANTS[d.audienceKey] || AUDIENCE_VARIANTS.standard;
+      return `
+        <div class="draft-row" role="listitem">
+          <div>
+            <div class="draft-title">${escapeHtml(d.theme.icon)} ${escapeHtml(d.title)}</div>
+            <div class="draft-meta">${escapeHtml(d.theme.name)} · ${audience.label} · v${latest.n} saved ${formatSavedAt(latest.savedAt)}</div>
+          </div>
+          <div class="draft-actions">
+            <button type="button" class="import-theme-btn ${escapeHtml(d.theme.colorClass)}" data-open-draft="${d.id}">Open <span class="tc-arrow">→</span></button>
+            <button type="button" class="import-clear-btn" data-delete-draft="${d.id}">Delete</button>
+          </div>
+        </div>`;
+    }).join('');
+  };
+
+  list.addEventListener('click', e => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    const openId = btn.getAttribute('data-open-draft');
+    const deleteId = btn.getAttribute('data-delete-draft');
+
+    if (openId) {
+      const draft = getDraft(openId);
+      if (!draft) return;
+      sessionStorage.setItem('esg_topic', draft.topic);
+      sessionStorage.setItem('esg_draft', draft.id);
+      window.location.href = 'generate.html' + window.location.search;
+    }
+    if (deleteId && window.confirm('Delete this draft and all its versions?')) {
+      deleteDraft(deleteId);
+      render();
+    }
+  });
+
+  render();
+}
+
+/* ══════════════════════════════════════════════════════════
+   8. LIVE SENSOR FEED — ingestReading()
+   Readings arrive over Server-Sent Events. The feed is opt-in:
+   the page connects only when given a stream URL, as `?live=`
+   or a `data-live-feed` attribute on <body>. For local use,
+   mock-sensor-server.js serves the stream at /stream. Each reading carries
+   one sensor's latest value:
+     { sensor, site, type, value, ts }
+   energy, water, waste and wasteDiverted values are year-to-date
+   registers (kWh, m³, t, t). status is 1 for running and 0 for down.
+   Latest values are kept per sensor and rolled up per site. The
+   roll-up is shown on the data cards of the metrics in
+   LIVE_METRICS as a separate live figure, and as one sentence
+   under the narrative: the registers count from 1 January, so
+   they are a year-to-date figure for the current year and never
+   replace the reported fiscal year or its prose. A
+   sensor that is silent for
+   LIVE_STALE_AFTER refresh intervals is stale; after
+   LIVE_DROP_AFTER intervals it is dropped.
+══════════════════════════════════════════════════════════ */
+
+const LIVE_STALE_AFTER = 2;
+const LIVE_DROP_AFTER  = 6;
+const LIVE_RENDER_MS   = 2000;   // update the live card figures at most this often
+const LIVE_MAX_FAILURES = 5;     // connection errors in a row before giving up
+const LIVE_TYPES = ['energy', 'water', 'waste', 'wasteDiverted', 'status'];
+
+/* Roll-up totals → metric value; null when the feed has no data for
+   it yet. Register sums wait until every rostered meter has reported
+   once, so a half-counted total never reaches the cards. `ytd`
+   figures come from the year-to-date registers; the rest are
+   current readings. `phrase` words a figure for the live
+   sentence under the narrative. */
+const LIVE_METRICS = {
+  energyTotal:     { decimals: 0, ytd: true, phrase: f => `energy consumption of ${f.text}`,
+                     value: t => t.readings.energy && !t.awaiting.energy ? t.energy / 1e6 : null },  // kWh → GWh
+  waterWithdrawal: { decimals: 2, ytd: true, phrase: f => `water withdrawal of ${f.text}`,
+                     value: t => t.readings.water && !t.awaiting.water ? t.water / 1e6 : null },     // m³ → Mm³
+  wasteDiversion:  { decimals: 1, ytd: true, phrase: f => `a waste diversion rate of ${f.text}`,
+                     value: t => t.waste && !t.awaiting.waste && !t.awaiting.wasteDiverted ? t.wasteDiverted / t.waste * 100 : null },
+  uptime:          { decimals: 1, phrase: f => `${f.text} operational uptime`,
+                     value: t => t.samples ? t.up / t.samples * 100 : null },
+  iotSensors:      { decimals: 0, phrase: f => `${f.text} sensor${f.value === 1 ? '' : 's'} reporting`,
+                     value: t => t.sensors ? t.sensors - t.dropped : null },
+  sitesMonitored:  { decimals: 0, phrase: f => `${f.text} site${f.value === 1 ? '' : 's'} live`,
+                     value: t => t.sensors ? t.sitesLive : null },
+};
+
+/* Stream URL from `?live=` or <body data-live-feed>; null when neither is set */
+function liveFeedUrl() {
+  const raw = new URLSearchParams(window.location.search).get('live') || document.body.getAttribute('data-live-feed');
+  if (!raw) return null;
+  try {
+    const url = new URL(raw, window.location.href);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function createLiveState() {
+  return { sensors: {}, rejected: 0, lastReadingAt: null, startedAt: Date.now(), status: 'connecting' };
+}
+
+/* The sensors the gateway expects to hear from — silent ones then count as dropped */
+function registerRoster(state, roster, now) {
+  (roster && Array.isArray(roster.sensors) ? roster.sensors : []).forEach(r => {
+    if (r && typeof r.sensor === 'string' && !state.sensors[r.sensor]) {
+      state.sensors[r.sensor] = { id: r.sensor, site: String(r.site || '—'), type: r.type, value: null, lastSeen: null, since: now, up: 0, samples: 0 };
+    }
+  });
+}
+
+/**
+ * Record one reading. Malformed readings are counted and ignored.
+ * @returns {boolean} whether the reading was accepted
+ */
+function ingestReading(state, r, now) {
+  const ok = r && typeof r.sensor === 'string' && r.sensor
+    && typeof r.site === 'string' && LIVE_TYPES.includes(r.type)
+    && Number.isFinite(r.value) && r.value >= 0;
+  if (!ok) {
+    state.rejected++;
+    return false;
+  }
+
+  const s = state.sensors[r.sensor] = state.sensors[r.sensor]
+    || { id: r.sensor, site: r.site, type: r.type, since: now, up: 0, samples: 0 };
+  Object.assign(s, { site: r.site, type: r.type, value: r.value, lastSeen: now });
+  if (r.type === 'status') {
+    s.samples++;
+    if (r.value >= 1) s.up++;
+  }
+  state.lastReadingAt = now;
+  return true;
+}
+
+/* 'live' | 'stale' | 'dropped' | 'pending' (on the roster, not heard from yet) */
+function sensorHealth(sensor, now, intervalMs) {
+  const silentFor = now - (sensor.lastSeen != null ? sensor.lastSeen : sensor.since);
+  if (silentFor > intervalMs * LIVE_DROP_AFTER) return 'dropped';
+  if (sensor.lastSeen == null) return 'pending';
+  return silentFor > intervalMs * LIVE_STALE_AFTER ? 'stale' : 'live';
+}
+
+/**
+ * Roll sensors up per site and across all sites — or across
+ * `onlySites` when given. Registers keep their last value while a
+ * sensor is stale or dropped.
+ * @returns {{ sites: Object<site, totals>, all: totals }}
+ */
+function rollUpLive(state, now, intervalMs, onlySites) {
+  const blank = () => ({
+    sensors: 0, live: 0, stale: 0, dropped: 0, pending: 0,
+    energy: 0, water: 0, waste: 0, wasteDiverted: 0, up: 0, samples: 0,
+    readings: { energy: 0, water: 0, waste: 0, wasteDiverted: 0, status: 0 },
+    awaiting: { energy: 0, water: 0, waste: 0, wasteDiverted: 0, status: 0 },
+  });
+  const all = blank();
+  const sites = {};
+
+  Object.values(state.sensors).forEach(s => {
+    if (onlySites && !onlySites.includes(s.site)) return;
+    const health = sensorHealth(s, now, intervalMs);
+    [all, sites[s.site] = sites[s.site] || blank()].forEach(t => {
+      t.sensors++;
+      t[health]++;
+      if (s.value == null) {
+        if (health === 'pending' && s.type in t.awaiting) t.awaiting[s.type]++;
+        return;
+      }
+      t.readings[s.type]++;
+      if (s.type === 'status') {
+        t.up += s.up;
+        t.samples += s.samples;
+      } else {
+        t[s.type] += s.value;
+      }
+    });
+  });
+  all.sitesLive = Object.values(sites).filter(t => t.live > 0).length;
+  return { sites, all };
+}
+
+/* Sensor refresh interval of a profile, in ms (15 s by default) */
+function liveInterval(profile) {
+  const m = (profile.supportingMetrics || []).concat(profile.keyMetrics || []).find(x => x.id === 'refreshInterval');
+  return (m && Number.isFinite(m.value) ? m.value : 15) * 1000;
+}
+
+/**
+ * Live figures for the profile's LIVE_METRICS, read from the sensors
+ * of `onlySites` (a region, business unit or site) or of every site.
+ * @returns {Object<metricId, { value, text, period }>} — empty until
+ *   the feed has data; `period` is e.g. "FY2026 YTD" or "now"
+ */
+function liveFigures(profile, state, now, onlySites) {
+  const figures = {};
+  if (!state || state.lastReadingAt == null) return figures;
+  const { all } = rollUpLive(state, now, liveInterval(profile), onlySites);
+  const year = new Date(now).getFullYear();
+
+  (profile.keyMetrics || []).concat(profile.supportingMetrics || []).forEach(m => {
+    const def = LIVE_METRICS[m.id];
+    const raw = def ? def.value(all) : null;
+    if (raw == null || !Number.isFinite(raw)) return;
+    const value = Number(raw.toFixed(def.decimals));
+    figures[m.id] = {
+      value,
+      text:   formatQuantity(value, m.unit, 'card', def.decimals),
+      period: def.ytd ? `FY${year} YTD` : 'now',
+    };
+  });
+  return figures;
+}
+
+/* "a, b and c" */
+function listPhrase(items) {
+  return items.length < 2 ? items.join('') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/* The live figures as one sentence for under the narrative, or ''
+   before the first complete roll-up. It names the live period and
+   that the figures are provisional, since the prose above is the
+   reported fiscal year. */
+function liveSentence(profile, figures, now) {
+  const ids = Object.keys(LIVE_METRICS).filter(id => figures[id]);
+  const phrases = ytd => ids.filter(id => !!LIVE_METRICS[id].ytd === ytd).map(id => LIVE_METRICS[id].phrase(figures[id]));
+  const toDate = phrases(true);
+  const current = phrases(false);
+  if (!toDate.length && !current.length) return '';
+
+  const year = new Date(now).getFullYear();
+  const parts = [];
+  if (toDate.length) parts.push(`FY${year} to date shows ${listPhrase(toDate)}`);
+  if (current.length) parts.push(`current readings show ${listPhrase(current)}`);
+  const reported = profile.reportingYear ? `the reported FY${profile.reportingYear} figures` : 'the reported figures';
+  return `Live sensor data: ${parts.join('; ')}. These readings are provisional and are not part of ${reported}.`;
+}
+
+/* Write live figures onto their data cards and the live sentence
+   under the narrative. Only text that changed is touched, so
+   selection and scroll in the report stay put. */
+function renderLiveFigures(figures, sentence) {
+  document.querySelectorAll('#dataCardsGrid [data-metric]').forEach(card => {
+    const f = figures[card.getAttribute('data-metric')];
+    let line = card.querySelector('.dc-live');
+    if (!f) {
+      if (line) line.remove();
+      return;
+    }
+    const text = `● Live ${f.period}: ${f.text}`;
+    if (!line) {
+      line = document.createElement('div');
+      line.className = 'dc-live';
+      card.appendChild(line);
+    }
+    if (line.textContent !== text) line.textContent = text;
+  });
+
+  const el = document.getElementById('liveNarrative');
+  if (el) {
+    el.hidden = !sentence;
+    if (el.textContent !== sentence) el.textContent = sentence;
+  }
+}
+
+/* Time since a timestamp, e.g. "45s" or "3m" */
+function formatAgo(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  return s < 120 ? `${s}s` : `${Math.round(s / 60)}m`;
+}
+
+/**
+ * Connect generate.html to the sensor stream. `onData` is called
+ * (throttled) when the roll-up changes and should refresh the live
+ * card figures and sentence.
+ * @returns {Object|null} the live state, or null if no feed URL is set
+ *   or the profile has no live metrics
+ */
+function initLiveFeed(profile, onData) {
+  const card = document.getElementById('liveCard');
+  const url = liveFeedUrl();
+  const ids = (profile.keyMetrics || []).concat(profile.supportingMetrics || []).map(m => m.id);
+  if (!url || !ids.some(id => LIVE_METRICS[id])) return null;
+  if (card) card.hidden = false;
+
+  const state = createLiveState();
+  const intervalMs = liveInterval(profile);
+  let pending = false;
+  let lastRender = 0;
+  let lastDropped = 0;
+
+  const statusEl = document.getElementById('liveStatus');
+  const sitesEl  = document.getElementById('liveSites');
+  const flagsEl  = document.getElementById('liveFlags');
+
+  const renderHealth = now => {
+    const { sites, all } = rollUpLive(state, now, intervalMs);
+    const labels = {
+      connecting: '◌ Connecting…',
+      live:       '● Live',
+      offline:    '○ Offline — showing reported data',
+      closed:     '○ Feed unreachable — showing reported data',
+      unsupported: '○ Streaming not supported in this browser',
+    };
+    if (statusEl) {
+      statusEl.innerHTML = `
+        <span class="live-pill ${state.status}">${labels[state.status]}</span>
+        <div class="live-counts">
+          ${all.live} live · ${all.stale} stale · ${all.dropped} dropped${all.pending ? ` · ${all.pending} awaiting` : ''}
+          ${state.lastReadingAt ? `<br>Last reading ${formatAgo(now - state.lastReadingAt)} ago` : ''}
+          ${state.rejected ? `<br>${state.rejected} malformed reading${state.rejected === 1 ? '' : 's'} ignored` : ''}
+        </div>`;
+    }
+
+    if (sitesEl) {
+      sitesEl.innerHTML = Object.keys(sites).sort().map(id => {
+        const t = sites[id];
+        const flagged = t.stale + t.dropped;
+        return `
+          <div class="live-site ${t.dropped ? 'dropped' : t.stale ? 'stale' : ''}" role="listitem">
+            <span>${escapeHtml(id)}</span>
+            <span>${t.live}/${t.sensors}${flagged ? ` · ${t.stale ? `${t.stale} stale` : ''}${t.stale && t.dropped ? ', ' : ''}${t.dropped ? `${t.dropped} dropped` : ''}` : ''}</span>
+          </div>`;
+      }).join('');
+    }
+
+    if (flagsEl) {
+      const flagged = Object.values(state.sensors)
+        .map(sensor => ({ sensor, health: sensorHealth(sensor, now, intervalMs) }))
+        .filter(f => f.health === 'stale' || f.health === 'dropped')
+        .sort((a, b) => (a.sensor.lastSeen || a.sensor.since) - (b.sensor.lastSeen || b.sensor.since));
+      flagsEl.innerHTML = flagged.slice(0, 6).map(f => `
+        <div class="gg-row" role="listitem">
+          <span class="gg-icon" aria-hidden="true">${f.health === 'dropped' ? '❌' : '⚠️'}</span>
+          <div>${escapeHtml(f.sensor.id)} · ${escapeHtml(f.sensor.type || '')}
+            <div class="ic-detail">${f.health} · ${f.sensor.lastSeen ? `silent ${formatAgo(now - f.sensor.lastSeen)}` : 'never reported'}</div>
+          </div>
+        </div>`).join('') + (flagged.length > 6 ? `<div class="ic-detail">+${flagged.length - 6} more flagged</div>` : '');
+    }
+    return all;
+  };
+
+  if (!window.EventSource) {
+    state.status = 'unsupported';
+    renderHealth(Date.now());
+    return state;
+  }
+
+  const source = new EventSource(url);
+  let failures = 0;
+  let clock = null;
+  source.addEventListener('open', () => {
+    state.status = 'live';
+    failures = 0;
+  });
+  // EventSource retries on its own; stop after repeated failures
+  source.addEventListener('error', () => {
+    state.status = 'offline';
+    if (++failures < LIVE_MAX_FAILURES) return;
+    source.close();
+    clearInterval(clock);
+    state.status = 'closed';
+    renderHealth(Date.now());
+  });
+  source.addEventListener('roster', e => {
+    try {
+      registerRoster(state, JSON.parse(e.data), Date.now());
+    } catch (err) {
+      state.rejected++;
+    }
+  });
+  source.addEventListener('reading', e => {
+    let reading = null;
+    try {
+      reading = JSON.parse(e.data);
+    } catch (err) {
+      // Counted as malformed below
+    }
+    if (ingestReading(state, reading, Date.now())) pending = true;
+  });
+
+  // Staleness moves on without new readings, so check on a clock
+  clock = setInterval(() => {
+    const now = Date.now();
+    const all = renderHealth(now);
+    if (all.dropped !== lastDropped) pending = true;
+    lastDropped = all.dropped;
+    if (pending && now - lastRender >= LIVE_RENDER_MS) {
+      onData();
+      pending = false;
+      lastRender = now;
+    }
+  }, 1000);
+
+  renderHealth(Date.now());
+  return state;
 }
 
 /* ══════════════════════════════════════════════════════════
-   5. BOOT — detect which page is loaded and initialise
+   9. BOOT — detect which page is loaded and initialise
 ══════════════════════════════════════════════════════════ */
 
 document.addEventListener('DOMContentLoaded', () => {